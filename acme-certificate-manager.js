@@ -0,0 +1,330 @@
+/**
+ * ACME Certificate Manager Module
+ * @module ACMECertificateManagerModule
+ * @description Serves issued certificates to node:tls and node:https servers and swaps in renewed certificates without a restart.
+ * @copyright © 2024 FirstTimeEZ
+ * @license Apache-2.0
+ */
+
+import { isIP } from 'net';
+import { createSecureContext } from 'tls';
+import { AcmeClientError } from './acme-errors.js';
+import { issueCertificate } from './acme-issuer.js';
+import { normalizeIdentifiers } from './acme-identifiers.js';
+import { readStoredCertificate } from './acme-storage.js';
+import { createCertificate, inspectCertificate, certificateMatchesKey } from './acme-x509.js';
+import { newDirectory, emitClientEvent, scheduleRenewal, formatPrivateKey, exportPrivateKey, generateAccountKey, generateCertificateKey } from './base-acme-client.js';
+
+const FALLBACK_HOSTNAME = "localhost";
+const FALLBACK_VALIDITY = 24 * 60 * 60 * 1000;
+const FALLBACK_RENEWAL = 60 * 60 * 1000;
+const MAX_TIMEOUT = 2147483647;
+const RENEWAL_RETRY_DELAY = 60 * 60 * 1000;
+const WILDCARD_LABEL = "*.";
+
+/**
+ * Creates a certificate manager that keeps a `tls.SecureContext` for every hostname of the certificates it holds.
+ *
+ * The `SNICallback` selects the context of the exact hostname, then of a wildcard certificate that covers it.
+ * Until a certificate exists for a hostname passed to `manage`, a self-signed certificate for that hostname is served
+ * instead, so the server can start before the first issuance completes. Other server names get the self-signed certificate
+ * of the default hostname.
+ *
+ * @param {Object} [options] - Optional manager settings
+ * @param {Object} [options.storage] - The storage `manage` reads stored certificates from and `issueCertificate` writes to (see `createFileStorage`)
+ * @param {Object} [options.secureContextOptions] - Additional options for `tls.createSecureContext`, such as `minVersion`
+ * @param {string} [options.defaultHostname="localhost"] - The hostname of the self-signed certificate in `serverOptions`, served to clients that send no server name
+ * @param {Function} [options.onError] - Called with the error when a scheduled renewal fails, the renewal is tried again an hour later
+ *
+ * @returns {Object} The certificate manager
+ * @property {Function} manage - Installs the stored or newly issued certificate of an identifier set and keeps it renewed
+ * @property {Function} setCertificate - Installs a certificate chain and its private key, replacing the contexts of its hostnames
+ * @property {Function} removeCertificate - Removes the context of a hostname, the self-signed certificate is served again
+ * @property {Function} getSecureContext - Returns the context served for a hostname
+ * @property {Function} getCertificate - Returns the inspected leaf certificate installed for a hostname, or undefined
+ * @property {Function} SNICallback - The `SNICallback` for `tls.createServer` and `https.createServer`
+ * @property {Function} serverOptions - Returns the `SNICallback` with the default self-signed `key` and `cert` for the server options
+ * @property {Function} close - Stops every scheduled renewal
+ *
+ * @description
+ * `manage(issueOptions)` takes the options of `issueCertificate` and resolves with `{ get }` or `{ error }`. A stored certificate
+ * of the directory that has not expired is installed right away, otherwise a certificate is issued. Its renewal is then scheduled with
+ * `scheduleRenewal`, or for when one third of its validity remains when the directory has no renewal information, and the
+ * renewed certificate replaces the installed one as soon as it is issued. The `get` contains the
+ * `pem` chain, the inspected leaf `certificate`, whether it was `stored` and a `renewAt` function that returns the next renewal time.
+ * A `csr` can not be used with `manage` because the manager needs the private key of the certificate.
+ *
+ * Every installed certificate is emitted as a `certificate` event on `clientEvents`.
+ *
+ * @example
+ * const manager = createCertificateManager({ storage: createFileStorage("/var/lib/acme") });
+ *
+ * https.createServer(manager.serverOptions(), app).listen(443);
+ *
+ * const result = await manager.manage({ directoryUrl, identifiers: ["example.com"], challengeHandlers });
+ */
+export function createCertificateManager(options = {}) {
+    const installed = new Map();
+    const fallbacks = new Map();
+    const schedules = new Map();
+    const managed = new Set();
+
+    let closed = false;
+
+    const createContext = (certificate, privateKey) => createSecureContext({ ...options.secureContextOptions, cert: certificate, key: privateKey });
+
+    const getFallback = (hostname) => {
+        const existing = fallbacks.get(hostname);
+
+        // Self-signed certificates are replaced an hour before they expire, a server can run longer than their validity
+        if (existing == undefined || existing.notAfter.getTime() - Date.now() < FALLBACK_RENEWAL) {
+            const { privateKey, publicKey } = generateCertificateKey();
+            const notBefore = new Date();
+            const notAfter = new Date(notBefore.getTime() + FALLBACK_VALIDITY);
+            const certificate = createCertificate({
+                publicKey: publicKey,
+                signingKey: privateKey,
+                commonName: hostname,
+                altNames: [hostname],
+                notBefore: notBefore,
+                notAfter: notAfter
+            });
+
+            fallbacks.set(hostname, { certificate: certificate, privateKey: exportPrivateKey(privateKey), notAfter: notAfter });
+        }
+
+        return fallbacks.get(hostname);
+    };
+
+    const findInstalled = (servername) => {
+        const hostname = servername.toLowerCase().replace(/\.$/, '');
+
+        if (installed.has(hostname)) {
+            return installed.get(hostname);
+        }
+
+        const dot = hostname.indexOf('.');
+
+        return dot > 0 && !isIP(hostname) ? installed.get(`${WILDCARD_LABEL}${hostname.substring(dot + 1)}`) : undefined;
+    };
+
+    const setCertificate = (certificate, privateKey) => {
+        const key = typeof privateKey === 'string' ? privateKey : exportPrivateKey(formatPrivateKey(privateKey));
+
+        if (!certificateMatchesKey(certificate, key)) {
+            throw new Error("The certificate does not match the private key");
+        }
+
+        const leaf = inspectCertificate(certificate);
+        const hostnames = leaf.altNames.map((name) => name.value.toLowerCase());
+
+        if (hostnames.length == 0) {
+            throw new Error("The certificate has no subject alternative names");
+        }
+
+        const entry = { context: createContext(certificate, key), certificate: leaf };
+
+        for (const hostname of hostnames) {
+            installed.set(hostname, entry);
+        }
+
+        emitClientEvent("certificate", { hostnames: hostnames, notAfter: leaf.notAfter });
+
+        return hostnames;
+    };
+
+    const getSecureContext = (servername) => {
+        const entry = servername ? findInstalled(servername) : undefined;
+
+        if (entry) {
+            return entry.context;
+        }
+
+        // Only managed hostnames get their own self-signed certificate, so unknown server names can not grow the cache
+        const hostname = servername ? servername.toLowerCase().replace(/\.$/, '') : undefined;
+        const fallback = getFallback(managed.has(hostname) ? hostname : options.defaultHostname || FALLBACK_HOSTNAME);
+
+        if (fallback.context == undefined) {
+            fallback.context = createContext(fallback.certificate, fallback.privateKey);
+        }
+
+        return fallback.context;
+    };
+
+    const schedule = (setName, renewalInfoUrl, certificate, issueOptions) => {
+        stopSchedule(schedules, setName);
+
+        if (closed) {
+            return;
+        }
+
+        const onRenew = async () => {
+            // Only a directory with renewal information accepts the replaces field of a new order
+            const result = await issue({ ...issueOptions, replaces: renewalInfoUrl ? certificate : undefined });
+
+            if (result.error) {
+                throw result.error;
+            }
+
+            schedule(setName, renewalInfoUrl, result.get.pem, issueOptions);
+        };
+
+        const onError = (error) => {
+            if (options.onError) {
+                options.onError(error);
+            }
+
+            if (!closed && schedules.get(setName) === renewal) {
+                const timer = setTimeout(() => schedule(setName, renewalInfoUrl, certificate, issueOptions), RENEWAL_RETRY_DELAY);
+
+                schedules.set(setName, { stop: () => clearTimeout(timer), renewAt: () => new Date(Date.now() + RENEWAL_RETRY_DELAY) });
+            }
+        };
+
+        const renewal = renewalInfoUrl ? scheduleRenewal(renewalInfoUrl, certificate, onRenew, { onError: onError }) : scheduleByValidity(certificate, onRenew, onError);
+
+        schedules.set(setName, renewal);
+    };
+
+    const issue = async (issueOptions) => {
+        const certKey = issueOptions.certKey || generateCertificateKey().privateKey;
+        const result = await issueCertificate({ storage: options.storage, ...issueOptions, certKey: certKey });
+
+        if (result.get) {
+            setCertificate(result.get.pem, certKey);
+        }
+
+        return result;
+    };
+
+    const manage = async (issueOptions) => {
+        try {
+            if (issueOptions.csr) {
+                return { error: new AcmeClientError("bac:invalid:manage", "A certificate manager needs the certificate key, use certKey instead of csr", 777778) };
+            }
+
+            let identifiers = undefined;
+
+            try {
+                identifiers = normalizeIdentifiers(issueOptions.identifiers);
+            } catch (exception) {
+                return { error: new AcmeClientError("bac:invalid:manage", exception.message, 777778) };
+            }
+
+            for (const identifier of identifiers) {
+                managed.add(identifier.value);
+            }
+
+            const storage = issueOptions.storage || options.storage;
+
+            // Renewals must use the account of the certificate they replace, without a storage that key is only kept here
+            const accountKey = issueOptions.accountKey || (storage ? undefined : generateAccountKey().privateKey);
+            const stored = storage ? await readStoredCertificate(storage, issueOptions.directoryUrl, identifiers) : undefined;
+            const storedLeaf = stored ? inspectCertificate(stored.certificate) : undefined;
+
+            const fromStorage = storedLeaf != undefined && storedLeaf.notAfter.getTime() > Date.now();
+
+            let pem = undefined;
+
+            if (fromStorage) {
+                setCertificate(stored.certificate, stored.privateKey);
+
+                pem = stored.certificate;
+            }
+            else {
+                const result = await issue({ ...issueOptions, storage: storage, accountKey: accountKey });
+
+                if (result.error) {
+                    return result;
+                }
+
+                pem = result.get.pem;
+            }
+
+            const directory = await newDirectory(issueOptions.directoryUrl);
+            const setName = identifiers.map((identifier) => `${identifier.type}:${identifier.value}`).sort().join(",");
+
+            schedule(setName, directory.get ? directory.get.renewalInfo : undefined, pem, { ...issueOptions, storage: storage, accountKey: accountKey });
+
+            return {
+                get: {
+                    pem: pem,
+                    certificate: inspectCertificate(pem),
+                    stored: fromStorage,
+                    renewAt: () => schedules.has(setName) ? schedules.get(setName).renewAt() : null
+                }
+            };
+        } catch (exception) {
+            return { error: new AcmeClientError("bac:exception:manage", exception, 777779) };
+        }
+    };
+
+    function SNICallback(servername, callback) {
+        try {
+            callback(null, getSecureContext(servername));
+        } catch (exception) {
+            callback(exception);
+        }
+    }
+
+    return {
+        manage: manage,
+        setCertificate: setCertificate,
+        removeCertificate: (hostname) => installed.delete(hostname.toLowerCase()),
+        getSecureContext: getSecureContext,
+        getCertificate: (servername) => {
+            const entry = findInstalled(servername);
+
+            return entry ? entry.certificate : undefined;
+        },
+        SNICallback: SNICallback,
+        serverOptions: () => {
+            const fallback = getFallback(options.defaultHostname || FALLBACK_HOSTNAME);
+
+            return { SNICallback: SNICallback, cert: fallback.certificate, key: fallback.privateKey };
+        },
+        close: () => {
+            closed = true;
+
+            for (const setName of [...schedules.keys()]) {
+                stopSchedule(schedules, setName);
+            }
+        }
+    };
+}
+
+// Without renewal information a certificate is renewed when one third of its validity remains, as `scheduleRenewal` does when the information can not be fetched
+function scheduleByValidity(certificate, onRenew, onError) {
+    const { notBefore, notAfter } = inspectCertificate(certificate);
+    const renewAt = notAfter.getTime() - (notAfter.getTime() - notBefore.getTime()) / 3;
+
+    let timer = undefined;
+
+    const wait = () => {
+        const delay = Math.max(renewAt - Date.now(), 0);
+
+        timer = setTimeout(delay > MAX_TIMEOUT ? wait : async () => {
+            try {
+                await onRenew({ renewAt: new Date(renewAt), suggestedWindow: null, explanationURL: undefined });
+            } catch (exception) {
+                onError(exception);
+            }
+        }, Math.min(delay, MAX_TIMEOUT));
+    };
+
+    wait();
+
+    return {
+        stop: () => clearTimeout(timer),
+        renewAt: () => new Date(renewAt)
+    };
+}
+
+function stopSchedule(schedules, setName) {
+    const existing = schedules.get(setName);
+
+    if (existing) {
+        existing.stop();
+        schedules.delete(setName);
+    }
+}
@@ -0,0 +1,443 @@
+/**
+ * ACME Challenges Module
+ * @module ACMEChallengesModule
+ * @description Responders that provision ACME challenge responses so the server can validate control of an identifier.
+ * @copyright © 2024 FirstTimeEZ
+ * @license Apache-2.0
+ */
+
+import { createServer } from 'http';
+import { isIP } from 'net';
+import { createHash, generateKeyPairSync } from 'crypto';
+import { createSecureContext } from 'tls';
+import { Resolver } from 'dns/promises';
+import { base64urlEncode, sleep } from './base-acme-client.js';
+import { createCertificate, encodeOctetString } from './acme-x509.js';
+import { getReverseDnsName } from './acme-identifiers.js';
+
+const HTTP_01_PATH = "/.well-known/acme-challenge/";
+const HTTP_01_PORT = 80;
+
+const CONTENT_TYPE = "Content-Type";
+const CONTENT_TYPE_TEXT = 'text/plain';
+
+const TOKEN_LIFETIME = 10 * 60 * 1000;
+
+const DNS_01_LABEL = "_acme-challenge.";
+const WILDCARD_LABEL = "*.";
+
+const ALPN_ACME_TLS = "acme-tls/1";
+const ALPN_HTTP_1_1 = "http/1.1";
+const OID_ACME_IDENTIFIER = "1.3.6.1.5.5.7.1.31";
+
+const PROPAGATION_INTERVAL = 5000;
+const PROPAGATION_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Creates an http-01 challenge responder (RFC 8555 Section 8.3).
+ *
+ * The responder serves the key authorization of every pending token at `/.well-known/acme-challenge/<token>`.
+ * It can be used as a challenge handler for `issueCertificate`, as request middleware for an existing server,
+ * or as a standalone `node:http` server.
+ *
+ * @param {Object} [options] - Optional responder settings
+ * @param {number} [options.tokenLifetime=600000] - Milliseconds after which a token that was never removed is cleaned up
+ *
+ * @returns {Object} The http-01 responder
+ * @property {Function} set - Challenge handler method, adds the token of the context
+ * @property {Function} remove - Challenge handler method, removes the token of the context
+ * @property {Function} addToken - Adds a token and its key authorization `(token, keyAuthorization)`
+ * @property {Function} removeToken - Removes a token `(token)`
+ * @property {Function} pendingTokens - Returns the tokens that are currently served
+ * @property {Function} handleRequest - Answers a `node:http` request `(request, response)`, returns false if it is not a challenge request
+ * @property {Function} middleware - Request middleware `(request, response, next)` that calls next for other requests
+ * @property {Function} listen - Starts a standalone server `(port = 80, host)` and resolves with the `http.Server`
+ * @property {Function} close - Stops the standalone server and removes all tokens
+ *
+ * @example
+ * const responder = createHttp01Responder();
+ * await responder.listen(80);
+ *
+ * const result = await issueCertificate({ ...options, challengeHandlers: { "http-01": responder } });
+ *
+ * await responder.close();
+ */
+export function createHttp01Responder(options = {}) {
+    const tokenLifetime = options.tokenLifetime || TOKEN_LIFETIME;
+    const tokens = new Map();
+
+    let server = undefined;
+
+    const addToken = (token, keyAuthorization) => {
+        removeToken(token);
+
+        const timer = setTimeout(() => tokens.delete(token), tokenLifetime);
+        timer.unref();
+
+        tokens.set(token, { keyAuthorization: keyAuthorization, timer: timer });
+    };
+
+    const removeToken = (token) => {
+        const pending = tokens.get(token);
+
+        if (pending) {
+            clearTimeout(pending.timer);
+            tokens.delete(token);
+        }
+    };
+
+    const handleRequest = (request, response) => {
+        const path = new URL(request.url, "http://localhost").pathname;
+
+        if (!path.startsWith(HTTP_01_PATH)) {
+            return false;
+        }
+
+        const pending = tokens.get(path.substring(HTTP_01_PATH.length));
+
+        if (pending && (request.method === "GET" || request.method === "HEAD")) {
+            response.writeHead(200, { [CONTENT_TYPE]: CONTENT_TYPE_TEXT });
+            response.end(request.method === "GET" ? pending.keyAuthorization : undefined);
+        }
+        else {
+            response.writeHead(404, { [CONTENT_TYPE]: CONTENT_TYPE_TEXT });
+            response.end();
+        }
+
+        return true;
+    };
+
+    return {
+        set: async (context) => addToken(context.token, context.keyAuthorization),
+        remove: async (context) => removeToken(context.token),
+        addToken: addToken,
+        removeToken: removeToken,
+        pendingTokens: () => [...tokens.keys()],
+        handleRequest: handleRequest,
+        middleware: (request, response, next) => {
+            if (!handleRequest(request, response)) {
+                next();
+            }
+        },
+        listen: (port = HTTP_01_PORT, host) => new Promise((resolve, reject) => {
+            server = createServer((request, response) => {
+                if (!handleRequest(request, response)) {
+                    response.writeHead(404, { [CONTENT_TYPE]: CONTENT_TYPE_TEXT });
+                    response.end();
+                }
+            });
+
+            server.once('error', reject);
+            server.listen(port, host, () => resolve(server));
+        }),
+        close: () => new Promise((resolve) => {
+            for (const token of [...tokens.keys()]) {
+                removeToken(token);
+            }
+
+            if (server == undefined) {
+                return resolve();
+            }
+
+            server.close(() => resolve());
+            server.closeAllConnections();
+            server = undefined;
+        })
+    };
+}
+
+/**
+ * Computes the TXT record value for a dns-01 challenge (RFC 8555 Section 8.4).
+ *
+ * @param {string} keyAuthorization - The key authorization of the challenge
+ *
+ * @returns {string} The base64url-encoded SHA-256 digest of the key authorization
+ */
+export function createDns01Value(keyAuthorization) {
+    return base64urlEncode(createHash("sha256").update(keyAuthorization).digest());
+}
+
+/**
+ * Returns the name of the TXT record used to validate a domain with dns-01.
+ *
+ * @param {string} domain - The domain name, a leading wildcard label is removed
+ *
+ * @returns {string} The record name, `_acme-challenge.<domain>`
+ */
+export function getDns01RecordName(domain) {
+    return `${DNS_01_LABEL}${domain.startsWith(WILDCARD_LABEL) ? domain.substring(WILDCARD_LABEL.length) : domain}`;
+}
+
+/**
+ * Creates a dns-01 challenge handler for `issueCertificate` from a DNS provider.
+ *
+ * The provider is any object with two methods that may return promises:
+ * - `setRecord(name, value)` - Create a TXT record with the value, keeping existing values of the same name
+ * - `removeRecord(name, value)` - Remove the TXT record with the value
+ *
+ * After the record is set the handler waits until every authoritative nameserver answers with it.
+ *
+ * @param {Object} provider - The DNS provider
+ * @param {Object} [options] - Optional propagation settings, see `waitForDnsPropagation`
+ * @param {boolean} [options.checkPropagation=true] - false to trigger the challenge without waiting for propagation
+ *
+ * @returns {Object} The challenge handler with `set(context)` and `remove(context)` methods
+ *
+ * @example
+ * const result = await issueCertificate({ ...options, identifiers: ["*.example.com"], challengeHandlers: { "dns-01": createDns01Handler(provider) } });
+ */
+export function createDns01Handler(provider, options = {}) {
+    return {
+        set: async (context) => {
+            const name = getDns01RecordName(context.identifier.value);
+            const value = createDns01Value(context.keyAuthorization);
+
+            await provider.setRecord(name, value);
+
+            if (options.checkPropagation !== false && !await waitForDnsPropagation(name, value, options)) {
+                throw new Error(`The TXT record ${name} did not propagate to the authoritative nameservers`);
+            }
+        },
+        remove: async (context) => {
+            await provider.removeRecord(getDns01RecordName(context.identifier.value), createDns01Value(context.keyAuthorization));
+        }
+    };
+}
+
+/**
+ * Creates an in-memory DNS provider, useful for tests and for serving records from a local DNS server.
+ *
+ * @returns {Object} The DNS provider
+ * @property {Function} setRecord - Adds a TXT record value `(name, value)`
+ * @property {Function} removeRecord - Removes a TXT record value `(name, value)`
+ * @property {Function} getRecords - Returns the TXT record values of a name `(name)`
+ */
+export function createMemoryDnsProvider() {
+    const records = new Map();
+
+    return {
+        setRecord: async (name, value) => {
+            const values = records.get(name.toLowerCase()) || new Set();
+
+            values.add(value);
+            records.set(name.toLowerCase(), values);
+        },
+        removeRecord: async (name, value) => {
+            const values = records.get(name.toLowerCase());
+
+            if (values) {
+                values.delete(value);
+
+                if (values.size == 0) {
+                    records.delete(name.toLowerCase());
+                }
+            }
+        },
+        getRecords: (name) => [...(records.get(name.toLowerCase()) || [])]
+    };
+}
+
+/**
+ * Checks whether every authoritative nameserver of a name answers with a TXT record value.
+ * @async
+ *
+ * @param {string} name - The record name, e.g. `_acme-challenge.example.com`
+ * @param {string} value - The expected TXT record value
+ * @param {Object} [options] - Optional settings
+ * @param {string[]} [options.nameservers] - IP addresses of the nameservers to query instead of the authoritative nameservers
+ *
+ * @returns {Promise<boolean>} true if every nameserver answers with the value
+ */
+export async function checkDnsPropagation(name, value, options = {}) {
+    const nameservers = options.nameservers || await findAuthoritativeNameservers(name);
+
+    if (nameservers.length == 0) {
+        return false;
+    }
+
+    for (const nameserver of nameservers) {
+        const resolver = new Resolver();
+        resolver.setServers([nameserver]);
+
+        try {
+            const records = await resolver.resolveTxt(name);
+
+            if (!records.some((chunks) => chunks.join('') === value)) {
+                return false;
+            }
+        } catch {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Waits until every authoritative nameserver of a name answers with a TXT record value.
+ * @async
+ *
+ * @param {string} name - The record name, e.g. `_acme-challenge.example.com`
+ * @param {string} value - The expected TXT record value
+ * @param {Object} [options] - Optional settings
+ * @param {string[]} [options.nameservers] - IP addresses of the nameservers to query instead of the authoritative nameservers
+ * @param {number} [options.propagationInterval=5000] - Milliseconds between checks
+ * @param {number} [options.propagationTimeout=300000] - Milliseconds to wait before giving up
+ *
+ * @returns {Promise<boolean>} true if the record propagated before the timeout
+ */
+export async function waitForDnsPropagation(name, value, options = {}) {
+    const deadline = Date.now() + (options.propagationTimeout || PROPAGATION_TIMEOUT);
+
+    while (!await checkDnsPropagation(name, value, options)) {
+        if (Date.now() >= deadline) {
+            return false;
+        }
+
+        await sleep(options.propagationInterval || PROPAGATION_INTERVAL);
+    }
+
+    return true;
+}
+
+async function findAuthoritativeNameservers(name) {
+    const resolver = new Resolver();
+    const labels = name.split('.');
+
+    for (let i = 0; i < labels.length - 1; i++) {
+        let hosts;
+
+        try {
+            hosts = await resolver.resolveNs(labels.slice(i).join('.'));
+        } catch {
+            continue;
+        }
+
+        const addresses = [];
+
+        for (const host of hosts) {
+            try {
+                addresses.push(...await resolver.resolve4(host));
+            } catch {
+                try {
+                    addresses.push(...await resolver.resolve6(host));
+                } catch {
+                    // The nameserver can not be reached, the remaining nameservers are still checked
+                }
+            }
+        }
+
+        return addresses;
+    }
+
+    return [];
+}
+
+/**
+ * Creates the self-signed validation certificate for a tls-alpn-01 challenge (RFC 8737 Section 3).
+ *
+ * The certificate contains the identifier as its only subject alternative name and the critical
+ * `id-pe-acmeIdentifier` extension with the SHA-256 digest of the key authorization.
+ *
+ * @param {string} identifier - The domain name or IP address being validated
+ * @param {string} keyAuthorization - The key authorization of the challenge
+ * @param {Object} [privateKey] - The private key of the validation certificate, a new P-256 key is generated when not provided
+ *
+ * @returns {Object} The validation certificate
+ * @property {string} cert - The PEM-encoded certificate
+ * @property {string} key - The PEM-encoded private key
+ */
+export function createTlsAlpn01Certificate(identifier, keyAuthorization, privateKey) {
+    const key = privateKey || generateKeyPairSync('ec', { namedCurve: 'P-256' }).privateKey;
+
+    const cert = createCertificate({
+        publicKey: key,
+        signingKey: key,
+        commonName: identifier,
+        altNames: [identifier],
+        extensions: [{ oid: OID_ACME_IDENTIFIER, critical: true, value: encodeOctetString(createHash("sha256").update(keyAuthorization).digest()) }]
+    });
+
+    return { cert: cert, key: key.export({ type: 'pkcs8', format: 'pem' }) };
+}
+
+/**
+ * Creates a tls-alpn-01 challenge responder (RFC 8737).
+ *
+ * Connections for the server name of a pending identifier are answered with its validation certificate and can only
+ * negotiate the `acme-tls/1` protocol, so normal clients of that name fail the handshake until the challenge is removed.
+ * All other connections are passed to the `SNICallback` option or the default context of the server, and negotiate the first
+ * of `ALPNProtocols` the client offers, or else the first protocol the client offers other than `acme-tls/1`.
+ *
+ * @param {Object} [options] - Optional responder settings
+ * @param {string[]} [options.ALPNProtocols=["http/1.1"]] - The protocols offered to normal clients, in order of preference
+ * @param {Function} [options.SNICallback] - The SNICallback used for normal traffic
+ *
+ * @returns {Object} The tls-alpn-01 responder
+ * @property {Function} set - Challenge handler method, adds the validation certificate for the identifier of the context
+ * @property {Function} remove - Challenge handler method, removes the validation certificate of the context
+ * @property {Function} addIdentifier - Adds a validation certificate `(identifier, keyAuthorization)`, IP addresses are served for their reverse mapping name
+ * @property {Function} removeIdentifier - Removes a validation certificate `(identifier)`
+ * @property {Function} getSecureContext - Returns the validation `tls.SecureContext` of a pending identifier `(servername)`
+ * @property {Function} ALPNCallback - The ALPNCallback for `tls.createServer`/`https.createServer`
+ * @property {Function} SNICallback - The SNICallback for `tls.createServer`/`https.createServer`
+ * @property {Function} serverOptions - Returns `{ ALPNCallback, SNICallback }` to spread into the server options
+ *
+ * @example
+ * const responder = createTlsAlpn01Responder();
+ * const server = https.createServer({ key, cert, ...responder.serverOptions() }, app).listen(443);
+ *
+ * const result = await issueCertificate({ ...options, challengeHandlers: { "tls-alpn-01": responder } });
+ */
+export function createTlsAlpn01Responder(options = {}) {
+    const protocols = options.ALPNProtocols || [ALPN_HTTP_1_1];
+    const pending = new Map();
+
+    // An ip identifier is validated with its reverse mapping name as the server name (RFC 8738 Section 6)
+    const servernameOf = (identifier) => isIP(identifier) ? getReverseDnsName(identifier) : identifier.toLowerCase();
+
+    const addIdentifier = (identifier, keyAuthorization) => {
+        pending.set(servernameOf(identifier), createSecureContext(createTlsAlpn01Certificate(identifier, keyAuthorization)));
+    };
+
+    const removeIdentifier = (identifier) => {
+        pending.delete(servernameOf(identifier));
+    };
+
+    const getSecureContext = (servername) => servername ? pending.get(servername.toLowerCase()) : undefined;
+
+    // TLS 1.2 selects the certificate before ALPN and TLS 1.3 after it, so both callbacks decide by the server name alone
+    function ALPNCallback({ servername, protocols: offered }) {
+        if (getSecureContext(servername)) {
+            return offered.includes(ALPN_ACME_TLS) ? ALPN_ACME_TLS : undefined;
+        }
+
+        // Without a common protocol the handshake would fail, the application decides what to do with the client's protocol
+        return protocols.find((protocol) => offered.includes(protocol)) || offered.find((protocol) => protocol !== ALPN_ACME_TLS);
+    }
+
+    function SNICallback(servername, callback) {
+        const context = getSecureContext(servername);
+
+        if (context) {
+            return callback(null, context);
+        }
+
+        if (options.SNICallback) {
+            return options.SNICallback.call(this, servername, callback);
+        }
+
+        callback(null, undefined);
+    }
+
+    return {
+        set: async (context) => addIdentifier(context.identifier.value, context.keyAuthorization),
+        remove: async (context) => removeIdentifier(context.identifier.value),
+        addIdentifier: addIdentifier,
+        removeIdentifier: removeIdentifier,
+        getSecureContext: getSecureContext,
+        ALPNCallback: ALPNCallback,
+        SNICallback: SNICallback,
+        serverOptions: () => ({ ALPNCallback: ALPNCallback, SNICallback: SNICallback })
+    };
+}
@@ -0,0 +1,151 @@
+/**
+ * ACME Directory Module
+ * @module ACMEDirectoryModule
+ * @description Typed access to the ACME directory and its metadata (RFC 8555 Section 7.1.1), terms of service consent, CAA checks (RFC 8659) and certificate profiles.
+ * @copyright © 2024 FirstTimeEZ
+ * @license Apache-2.0
+ */
+
+import { Resolver } from 'dns/promises';
+
+const REQUIRED_ENDPOINTS = ["newNonce", "newAccount", "newOrder"];
+const WILDCARD_LABEL = "*.";
+
+const CAA_ISSUE = "issue";
+const CAA_ISSUE_WILDCARD = "issuewild";
+const CAA_KNOWN_TAGS = [CAA_ISSUE, CAA_ISSUE_WILDCARD, "iodef", "issuemail", "contactemail", "contactphone"];
+const DNS_NO_RECORDS = ["ENODATA", "ENOTFOUND"];
+
+/**
+ * Reads the directory JSON of an ACME server into a typed directory.
+ *
+ * The directory keeps every member of the JSON, so it can be passed wherever an `acmeDirectory` is expected,
+ * and adds the metadata as members that are always present.
+ *
+ * @param {Object} directory - The parsed directory JSON
+ *
+ * @returns {Object} The typed directory
+ * @property {string} newNonce - The newNonce URL
+ * @property {string} newAccount - The newAccount URL
+ * @property {string} newOrder - The newOrder URL
+ * @property {string|undefined} revokeCert - The revokeCert URL
+ * @property {string|undefined} keyChange - The keyChange URL
+ * @property {string|undefined} renewalInfo - The renewalInfo URL when the server supports ACME Renewal Information
+ * @property {Object} meta - The metadata of the JSON
+ * @property {string|null} termsOfService - The URL of the current terms of service
+ * @property {string|null} website - The URL of the website of the CA
+ * @property {string[]} caaIdentities - The lowercase domain names CAA records must name to authorize the CA
+ * @property {boolean} externalAccountRequired - true if new accounts need External Account Binding
+ * @property {Object<string, string>} profiles - The certificate profiles the server offers, with their descriptions
+ * @throws {Error} Throws an error if the directory has no newNonce, newAccount or newOrder URL
+ */
+export function parseDirectory(directory) {
+    const missing = REQUIRED_ENDPOINTS.filter((endpoint) => directory == undefined || typeof directory[endpoint] !== 'string');
+
+    if (missing.length > 0) {
+        throw new Error(`The directory has no ${missing.join(", ")} URL`);
+    }
+
+    const meta = directory.meta && typeof directory.meta === 'object' ? directory.meta : {};
+
+    return {
+        ...directory,
+        meta: meta,
+        termsOfService: typeof meta.termsOfService === 'string' ? meta.termsOfService : null,
+        website: typeof meta.website === 'string' ? meta.website : null,
+        caaIdentities: Array.isArray(meta.caaIdentities) ? meta.caaIdentities.map((identity) => String(identity).toLowerCase()) : [],
+        externalAccountRequired: meta.externalAccountRequired === true,
+        profiles: meta.profiles && typeof meta.profiles === 'object' ? { ...meta.profiles } : {}
+    };
+}
+
+/**
+ * Compares the terms of service the account holder accepted with the current terms of service of a directory.
+ *
+ * @param {Object} acmeDirectory - The directory, parsed with `parseDirectory` or returned by `newDirectory`
+ * @param {string} [acceptedTermsOfService] - The terms of service URL the account holder accepted
+ *
+ * @returns {Object} The result of the comparison
+ * @property {string|null} termsOfService - The URL of the current terms of service, null when the server has none
+ * @property {boolean} accepted - true if the current terms of service were accepted or the server has none
+ * @property {boolean} changed - true if other terms of service than the current ones were accepted
+ */
+export function checkTermsOfService(acmeDirectory, acceptedTermsOfService) {
+    const termsOfService = parseDirectory(acmeDirectory).termsOfService;
+
+    return {
+        termsOfService: termsOfService,
+        accepted: termsOfService == undefined || acceptedTermsOfService === termsOfService,
+        changed: termsOfService != undefined && acceptedTermsOfService != undefined && acceptedTermsOfService !== termsOfService
+    };
+}
+
+/**
+ * Checks whether the CAA records of a domain name allow a CA to issue a certificate for it (RFC 8659).
+ *
+ * The closest CAA record set is found by climbing from the domain name towards the top level domain.
+ * Without any record set every CA is allowed. A wildcard name uses the `issuewild` records when there are any,
+ * and a critical record with a property the client does not know forbids every CA.
+ * @async
+ *
+ * @param {string} domain - The domain name, e.g. `www.example.com` or `*.example.com`
+ * @param {string[]} caaIdentities - The `caaIdentities` of the directory of the CA
+ * @param {Object} [options] - Optional settings
+ * @param {string[]} [options.nameservers] - IP addresses of the nameservers to query instead of the system resolver
+ * @param {Object} [options.resolver] - The resolver to query instead, an object with the `resolveCaa(name)` method of `dns.promises.Resolver`
+ *
+ * @returns {Promise<Object>} The result of the check
+ * @property {boolean} allowed - true if the CA may issue for the domain name
+ * @property {string|null} name - The name that holds the relevant record set, null when there is none
+ * @property {string[]} issuers - The issuer domain names of the relevant records, an empty name forbids every CA
+ * @throws {Error} Throws an error if a nameserver fails to answer
+ *
+ * @example
+ * const directory = (await newDirectory(directoryUrl)).get;
+ * const caa = await checkCaaRecords("example.com", directory.caaIdentities);
+ */
+export async function checkCaaRecords(domain, caaIdentities, options = {}) {
+    const resolver = options.resolver || new Resolver();
+
+    if (options.resolver == undefined && options.nameservers) {
+        resolver.setServers(options.nameservers);
+    }
+
+    const wildcard = domain.startsWith(WILDCARD_LABEL);
+    const labels = (wildcard ? domain.substring(WILDCARD_LABEL.length) : domain).toLowerCase().replace(/\.$/, '').split('.');
+    const identities = caaIdentities.map((identity) => identity.toLowerCase());
+
+    for (let i = 0; i < labels.length; i++) {
+        const name = labels.slice(i).join('.');
+
+        let records = undefined;
+
+        try {
+            records = await resolver.resolveCaa(name);
+        } catch (exception) {
+            if (DNS_NO_RECORDS.includes(exception.code)) {
+                continue;
+            }
+
+            throw exception;
+        }
+
+        if (records.length == 0) {
+            continue;
+        }
+
+        const issue = records.filter((record) => record[CAA_ISSUE] != undefined).map((record) => record[CAA_ISSUE]);
+        const issueWildcard = records.filter((record) => record[CAA_ISSUE_WILDCARD] != undefined).map((record) => record[CAA_ISSUE_WILDCARD]);
+        const relevant = (wildcard && issueWildcard.length > 0 ? issueWildcard : issue).map((value) => value.split(';')[0].trim().toLowerCase());
+
+        const unknownCritical = records.some((record) => record.critical && !CAA_KNOWN_TAGS.some((tag) => record[tag] != undefined));
+
+        return {
+            allowed: !unknownCritical && (relevant.length == 0 || relevant.some((issuer) => identities.includes(issuer))),
+            name: name,
+            issuers: relevant
+        };
+    }
+
+    return { allowed: true, name: null, issuers: [] };
+}
@@ -0,0 +1,97 @@
+/**
+ * ACME Errors Module
+ * @module ACMEErrorsModule
+ * @description Error classes for ACME problem documents (RFC 7807, RFC 8555 Section 6.7) and errors of the client itself.
+ * @copyright © 2024 FirstTimeEZ
+ * @license Apache-2.0
+ */
+
+const ACME_ERROR_NAMESPACE = "urn:ietf:params:acme:error:";
+const PROBLEM_BLANK = "about:blank";
+
+/**
+ * The base class of every error returned by the client.
+ *
+ * Errors keep the `type`, `detail` and `status` members of the plain error objects, so existing checks keep working.
+ *
+ * @property {string} type - The problem type URI, or a `bac:` type for errors of the client itself
+ * @property {string|Error} detail - A description of the problem, or the exception that caused it
+ * @property {number} status - The HTTP status code, or the deprecated 777777-777779 for errors of the client itself
+ */
+export class AcmeError extends Error {
+    /**
+     * @param {string} type - The problem type
+     * @param {string|Error} detail - A description of the problem, or the exception that caused it
+     * @param {number} status - The status code
+     */
+    constructor(type, detail, status) {
+        super(detail instanceof Error ? detail.message : (detail || type), detail instanceof Error ? { cause: detail } : undefined);
+
+        this.name = "AcmeError";
+        this.type = type;
+        this.detail = detail;
+        this.status = status;
+    }
+
+    /**
+     * Checks the type of the problem.
+     *
+     * @param {string} type - The short ACME error name (e.g. `rateLimited`) or the full type URI
+     *
+     * @returns {boolean} true if the problem has the type
+     */
+    is(type) {
+        return this.type === type || this.type === `${ACME_ERROR_NAMESPACE}${type}`;
+    }
+}
+
+/**
+ * A problem document returned by the ACME server.
+ *
+ * @property {string|undefined} instance - A URI that identifies the occurrence of the problem
+ * @property {Object|undefined} identifier - The identifier the problem relates to, for subproblems
+ * @property {AcmeProblemError[]} subproblems - The problems of individual identifiers
+ * @property {number|null} retryAfter - Milliseconds the server asked to wait before trying again
+ */
+export class AcmeProblemError extends AcmeError {
+    /**
+     * @param {Object} problem - The parsed problem document
+     * @param {number} [status] - The HTTP status code of the response, used when the document has no status
+     * @param {number|null} [retryAfter] - Milliseconds from the `Retry-After` header of the response
+     */
+    constructor(problem, status, retryAfter = null) {
+        super(problem.type || PROBLEM_BLANK, problem.detail, problem.status || status);
+
+        this.name = "AcmeProblemError";
+
+        if (problem.instance) {
+            this.instance = problem.instance;
+        }
+
+        if (problem.identifier) {
+            this.identifier = problem.identifier;
+        }
+
+        this.subproblems = Array.isArray(problem.subproblems) ? problem.subproblems.map((subproblem) => new AcmeProblemError(subproblem, this.status)) : [];
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * An error of the client itself, when a request could not be completed, threw an exception or was invalid.
+ *
+ * The kind of the error is the prefix of its `type`. Its `status` is not an HTTP status code, the numbers are kept
+ * for callers that compared them before the error classes existed and are deprecated.
+ */
+export class AcmeClientError extends AcmeError {
+    /**
+     * @param {string} type - The `bac:failed:`, `bac:exception:` or `bac:invalid:` type
+     * @param {string|Error} detail - A description of the problem, or the exception that caused it
+     * @param {number} status - The deprecated 777777 (failed), 777778 (invalid) or 777779 (exception)
+     */
+    constructor(type, detail, status) {
+        super(type, detail, status);
+
+        this.name = "AcmeClientError";
+    }
+}
@@ -0,0 +1,163 @@
+/**
+ * ACME Identifiers Module
+ * @module ACMEIdentifiersModule
+ * @description Validation and normalization of dns identifiers (RFC 8555) and ip identifiers (RFC 8738).
+ * @copyright © 2024 FirstTimeEZ
+ * @license Apache-2.0
+ */
+
+import { isIP } from 'net';
+import { domainToASCII } from 'url';
+
+const TYPE_DNS = "dns";
+const TYPE_IP = "ip";
+
+const WILDCARD_LABEL = "*.";
+const MAX_NAME_LENGTH = 253;
+const LABEL = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/;
+
+const REVERSE_IPV4 = "in-addr.arpa";
+const REVERSE_IPV6 = "ip6.arpa";
+
+/**
+ * Validates and normalizes identifiers before they are sent to the ACME server.
+ *
+ * - Strings become `dns` identifiers, or `ip` identifiers when they are IP addresses
+ * - Domain names are lowercased, converted to punycode (IDNA) and lose a trailing dot
+ * - A wildcard is only allowed as the complete leftmost label (`*.example.com`)
+ * - IPv6 addresses are written in their canonical compressed form (RFC 5952)
+ * - Duplicate identifiers are removed
+ *
+ * @param {Array<string|Object>} identifiers - Domain names, IP addresses or `{ type, value }` identifiers
+ *
+ * @returns {Object[]} The normalized `{ type, value }` identifiers, in their original order
+ * @throws {Error} Throws an error describing the first identifier that is not valid
+ */
+export function normalizeIdentifiers(identifiers) {
+    if (!Array.isArray(identifiers) || identifiers.length == 0) {
+        throw new Error("At least one identifier is required");
+    }
+
+    const normalized = new Map();
+
+    for (const identifier of identifiers) {
+        const { type, value } = typeof identifier === 'string' ? { type: isIP(identifier) ? TYPE_IP : TYPE_DNS, value: identifier } : identifier || {};
+
+        if (typeof value !== 'string') {
+            throw new Error(`The identifier ${JSON.stringify(identifier)} has no value`);
+        }
+
+        const normalizedValue = type === TYPE_IP ? normalizeIpAddress(value) : type === TYPE_DNS ? normalizeDomainName(value) : undefined;
+
+        if (normalizedValue == undefined) {
+            throw new Error(`The identifier type ${type} is not supported, use dns or ip`);
+        }
+
+        normalized.set(`${type}:${normalizedValue}`, { type: type, value: normalizedValue });
+    }
+
+    return [...normalized.values()];
+}
+
+/**
+ * Returns the reverse mapping name of an IP address (RFC 8738 Section 6), the server name a CA sends
+ * when it validates an ip identifier with tls-alpn-01.
+ *
+ * @param {string} address - The IPv4 or IPv6 address
+ *
+ * @returns {string} The `in-addr.arpa` or `ip6.arpa` name, without a trailing dot
+ * @throws {Error} Throws an error if the address is not an IP address
+ */
+export function getReverseDnsName(address) {
+    const version = isIP(address);
+
+    if (version == 4) {
+        return `${address.split('.').reverse().join('.')}.${REVERSE_IPV4}`;
+    }
+
+    if (version == 6) {
+        const nibbles = encodeIpAddress(address).toString('hex').split('');
+
+        return `${nibbles.reverse().join('.')}.${REVERSE_IPV6}`;
+    }
+
+    throw new Error(`${address} is not an IP address`);
+}
+
+/**
+ * Encodes an IP address in network byte order, the form used in the IP address subject alternative names of certificates.
+ *
+ * IPv6 addresses may be compressed (`::`) and may end with an embedded IPv4 address (`::ffff:192.0.2.1`).
+ *
+ * @param {string} address - The IPv4 or IPv6 address
+ *
+ * @returns {Buffer} The 4 bytes of an IPv4 address or the 16 bytes of an IPv6 address
+ * @throws {Error} Throws an error if the address is not an IP address
+ */
+export function encodeIpAddress(address) {
+    const version = isIP(address);
+
+    if (version == 4) {
+        return Buffer.from(address.split('.').map((octet) => parseInt(octet, 10)));
+    }
+
+    if (version != 6) {
+        throw new Error(`${address} is not an IP address`);
+    }
+
+    const [head, tail] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+
+    if (tailGroups.length > 0 && tailGroups[tailGroups.length - 1].includes('.')) {
+        const octets = tailGroups.pop().split('.').map((octet) => parseInt(octet, 10));
+        tailGroups.push(((octets[0] << 8) | octets[1]).toString(16), ((octets[2] << 8) | octets[3]).toString(16));
+    }
+    else if (tail == undefined && headGroups[headGroups.length - 1].includes('.')) {
+        const octets = headGroups.pop().split('.').map((octet) => parseInt(octet, 10));
+        headGroups.push(((octets[0] << 8) | octets[1]).toString(16), ((octets[2] << 8) | octets[3]).toString(16));
+    }
+
+    const groups = tail == undefined ? headGroups : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+    const bytes = Buffer.alloc(16);
+
+    groups.forEach((group, index) => bytes.writeUInt16BE(parseInt(group, 16), index * 2));
+
+    return bytes;
+}
+
+function normalizeIpAddress(value) {
+    const version = isIP(value);
+
+    if (version == 4) {
+        return value;
+    }
+
+    if (version == 6) {
+        return new URL(`http://[${value}]`).hostname.slice(1, -1);
+    }
+
+    throw new Error(`The ip identifier ${value} is not an IP address`);
+}
+
+function normalizeDomainName(value) {
+    const trimmed = value.trim().replace(/\.$/, '');
+    const wildcard = trimmed.startsWith(WILDCARD_LABEL);
+    const name = wildcard ? trimmed.substring(WILDCARD_LABEL.length) : trimmed;
+
+    if (isIP(name)) {
+        throw new Error(`The dns identifier ${value} is an IP address, use an ip identifier`);
+    }
+
+    if (name.includes('*')) {
+        throw new Error(`The dns identifier ${value} may only have a wildcard as its complete leftmost label`);
+    }
+
+    const ascii = domainToASCII(name);
+
+    if (!ascii || ascii.length > MAX_NAME_LENGTH || !ascii.split('.').every((label) => LABEL.test(label))) {
+        throw new Error(`The dns identifier ${value} is not a valid domain name`);
+    }
+
+    return wildcard ? `${WILDCARD_LABEL}${ascii}` : ascii;
+}
@@ -0,0 +1,343 @@
+/**
+ * ACME Issuance Queue Module
+ * @module ACMEIssuanceQueueModule
+ * @description Issues certificates for many identifiers with per-account concurrency, client-side rate limits and SAN grouping.
+ * @copyright © 2024 FirstTimeEZ
+ * @license Apache-2.0
+ */
+
+import { createHash, createPublicKey } from 'crypto';
+import { AcmeClientError } from './acme-errors.js';
+import { issueCertificate } from './acme-issuer.js';
+import { normalizeIdentifiers } from './acme-identifiers.js';
+import { formatPrivateKey, generateAccountKey, generateCertificateKey, sleep } from './base-acme-client.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const CONCURRENCY = 2;
+const MAX_IDENTIFIERS = 100;
+const MAX_ATTEMPTS = 3;
+const RATE_LIMITED_DELAY = 60 * 1000;
+
+// Let's Encrypt limits new accounts per IP address, new orders per account and failed validations per account and identifier,
+// finalize has no documented limit. A queue can not see the IP addresses of other processes, so new accounts are limited per queue.
+const DEFAULT_LIMITS = {
+    newAccount: { limit: 10, interval: 3 * HOUR },
+    newOrder: { limit: 300, interval: 3 * HOUR },
+    failedValidation: { limit: 5, interval: HOUR }
+};
+
+const NEW_ACCOUNT = "newAccount";
+const FAILED_VALIDATION = "failedValidation";
+
+const PROBLEM_RATE_LIMITED = "rateLimited";
+
+const STATUS_QUEUED = "queued";
+const STATUS_ISSUING = "issuing";
+const STATUS_WAITING = "waiting";
+const STATUS_ISSUED = "issued";
+const STATUS_FAILED = "failed";
+
+/**
+ * Creates a queue that issues certificates for many identifiers with `issueCertificate`.
+ *
+ * Identifiers that are added while the queue is busy are grouped into SAN certificates of up to `maxIdentifiers`
+ * identifiers of the same account and group. Every account issues at most `concurrency` certificates at a time,
+ * and its newOrder and finalize requests wait for a token of the account's bucket of the endpoint, newAccount requests
+ * wait for a token of one bucket of the queue. Every identifier that fails validation takes a token of the failedValidation
+ * bucket of its account and identifier, and that identifier is not issued again while the bucket is empty.
+ *
+ * @param {Object} options - The options of `issueCertificate` for every issuance, except `identifiers`
+ * @param {number} [options.concurrency=2] - Maximum number of certificates each account issues at a time
+ * @param {number} [options.maxIdentifiers=100] - Maximum number of identifiers in one certificate, the identifier limit of the CA
+ * @param {Object<string, Object>} [options.limits] - Token buckets `{ limit, interval }` keyed by endpoint (`newAccount`, `newOrder` or `finalize`) or `failedValidation`, Let's Encrypt's limits by default and no finalize limit, null turns a limit off
+ * @param {number} [options.maxAttempts=3] - Maximum number of issuances of an identifier that was rate limited
+ * @param {Function} [options.onProgress] - Called with `{ identifier, status, attempt, identifiers, retryAt, error }` when the status of an identifier changes
+ *
+ * @returns {Object} The issuance queue
+ * @property {Function} add - Queues an identifier `(identifier, { accountKey, group })` and resolves with its result when it settles
+ * @property {Function} onIdle - Resolves when every queued identifier settled
+ * @property {Function} size - Returns the number of identifiers that are queued or being issued
+ * @property {Function} close - Fails every queued identifier and stops the queue, issuances already running still settle
+ *
+ * @description
+ * An identifier settles with `{ get }`, the result of `issueCertificate` with the `identifiers` of the certificate and the
+ * `certKey` it was issued for, or with `{ error }`. The statuses reported to `onProgress` are `queued`, `issuing`,
+ * `waiting` (with `retryAt`), `issued` and `failed`.
+ *
+ * When the server answers with rateLimited, the account pauses until its `Retry-After` and the identifiers are queued again.
+ * When an identifier fails validation, only that identifier fails and the rest of the certificate is queued again.
+ *
+ * Without an `accountKey` and a `storage` one account key is generated for the queue, so every issuance uses the same account.
+ *
+ * @example
+ * const queue = createIssuanceQueue({ directoryUrl, accountKey, challengeHandlers, onProgress: (event) => console.log(event.identifier, event.status) });
+ *
+ * const results = await Promise.all(customerHostnames.map((hostname) => queue.add(hostname)));
+ */
+export function createIssuanceQueue(options) {
+    const concurrency = options.concurrency || CONCURRENCY;
+    const maxIdentifiers = options.maxIdentifiers || MAX_IDENTIFIERS;
+    const maxAttempts = options.maxAttempts || MAX_ATTEMPTS;
+    const limits = { ...DEFAULT_LIMITS, ...options.limits };
+    const defaultAccountKey = options.accountKey || (options.storage ? undefined : generateAccountKey().privateKey);
+
+    const pending = [];
+    const active = new Map();
+    const pausedUntil = new Map();
+    const buckets = new Map();
+    const idle = [];
+
+    let running = 0;
+    let issuing = 0;
+    let scheduled = false;
+    let closed = false;
+    let timer = undefined;
+
+    const report = (item, status, fields = {}) => {
+        if (options.onProgress) {
+            options.onProgress({ identifier: item.identifier.value, status: status, attempt: item.attempt, ...fields });
+        }
+    };
+
+    const settle = (item, result) => {
+        report(item, result.error ? STATUS_FAILED : STATUS_ISSUED, result.error ? { error: result.error } : { identifiers: result.get.identifiers });
+        item.resolve(result);
+    };
+
+    const bucketOf = (scope, endpoint) => {
+        const key = `${scope}:${endpoint}`;
+
+        if (!buckets.has(key)) {
+            buckets.set(key, createTokenBucket(limits[endpoint].limit, limits[endpoint].interval));
+        }
+
+        return buckets.get(key);
+    };
+
+    const schedule = () => {
+        if (!scheduled) {
+            scheduled = true;
+
+            setImmediate(() => {
+                scheduled = false;
+                pump();
+            });
+        }
+    };
+
+    const resumeAtOf = (item) => Math.max(pausedUntil.get(item.account) || 0, pausedUntil.get(validationScope(item.account, item.identifier)) || 0);
+
+    const pump = () => {
+        const now = Date.now();
+        let wakeAt = Infinity;
+
+        for (let i = 0; i < pending.length && !closed; i++) {
+            const item = pending[i];
+            const resumeAt = resumeAtOf(item);
+
+            if (resumeAt > now) {
+                wakeAt = Math.min(wakeAt, resumeAt);
+                continue;
+            }
+
+            if ((active.get(item.account) || 0) >= concurrency) {
+                continue;
+            }
+
+            const batch = pending.filter((other) => other.account === item.account && other.group === item.group && resumeAtOf(other) <= now).slice(0, maxIdentifiers);
+
+            for (const taken of batch) {
+                pending.splice(pending.indexOf(taken), 1);
+            }
+
+            i--;
+            issue(batch);
+        }
+
+        clearTimeout(timer);
+
+        if (wakeAt !== Infinity && !closed) {
+            timer = setTimeout(pump, wakeAt - now);
+        }
+
+        if (pending.length == 0 && running == 0) {
+            idle.splice(0).forEach((resolve) => resolve());
+        }
+    };
+
+    const requeue = (batch) => {
+        pending.unshift(...batch);
+
+        for (const item of batch) {
+            report(item, STATUS_QUEUED);
+        }
+    };
+
+    const issue = async (batch) => {
+        const { account, accountKey } = batch[0];
+        const identifiers = batch.map((item) => item.identifier);
+
+        active.set(account, (active.get(account) || 0) + 1);
+        running++;
+        issuing += batch.length;
+
+        for (const item of batch) {
+            item.attempt++;
+            report(item, STATUS_ISSUING, { identifiers: identifiers });
+        }
+
+        try {
+            const certKey = options.certKey || generateCertificateKey().privateKey;
+            const result = await issueCertificate({
+                ...options,
+                accountKey: accountKey,
+                certKey: certKey,
+                identifiers: identifiers,
+                throttle: async (endpoint) => {
+                    if (limits[endpoint]) {
+                        await bucketOf(endpoint === NEW_ACCOUNT ? "" : account, endpoint).take();
+                    }
+                }
+            });
+
+            if (result.get) {
+                batch.forEach((item) => settle(item, { get: { ...result.get, identifiers: identifiers, certKey: certKey } }));
+            }
+            else if (result.error.is && result.error.is(PROBLEM_RATE_LIMITED) && batch[0].attempt < maxAttempts) {
+                const retryAt = Date.now() + (result.error.retryAfter != undefined ? result.error.retryAfter : RATE_LIMITED_DELAY);
+
+                pausedUntil.set(account, Math.max(pausedUntil.get(account) || 0, retryAt));
+
+                for (const item of batch) {
+                    report(item, STATUS_WAITING, { retryAt: new Date(retryAt), error: result.error });
+                }
+
+                requeue(batch);
+            }
+            else {
+                const failedItem = result.error.authorization ? batch.find((item) => matchesAuthorization(item.identifier, result.error.authorization)) : undefined;
+
+                if (result.error.authorization && limits[FAILED_VALIDATION]) {
+                    for (const item of failedItem ? [failedItem] : batch) {
+                        const scope = validationScope(account, item.identifier);
+                        const wait = bucketOf(scope, FAILED_VALIDATION).consume();
+
+                        if (wait > 0) {
+                            pausedUntil.set(scope, Math.max(pausedUntil.get(scope) || 0, Date.now() + wait));
+                        }
+                    }
+                }
+
+                if (failedItem && batch.length > 1) {
+                    settle(failedItem, result);
+                    requeue(batch.filter((item) => item !== failedItem).map((item) => ({ ...item, attempt: item.attempt - 1 })));
+                }
+                else {
+                    batch.forEach((item) => settle(item, result));
+                }
+            }
+        } catch (exception) {
+            batch.forEach((item) => settle(item, { error: new AcmeClientError("bac:exception:issuanceQueue", exception, 777779) }));
+        } finally {
+            active.set(account, active.get(account) - 1);
+            running--;
+            issuing -= batch.length;
+            schedule();
+        }
+    };
+
+    return {
+        add: (identifier, itemOptions = {}) => new Promise((resolve) => {
+            if (closed) {
+                return resolve({ error: new AcmeClientError("bac:failed:issuanceQueue", "The issuance queue is closed", 777777) });
+            }
+
+            let normalized = undefined;
+
+            try {
+                [normalized] = normalizeIdentifiers([identifier]);
+            } catch (exception) {
+                return resolve({ error: new AcmeClientError("bac:invalid:issuanceQueue", exception.message, 777778) });
+            }
+
+            const accountKey = itemOptions.accountKey ? formatPrivateKey(itemOptions.accountKey) : defaultAccountKey;
+            const account = accountKey ? getAccountId(accountKey) : options.directoryUrl;
+            const item = { identifier: normalized, account: account, accountKey: accountKey, group: itemOptions.group, attempt: 0, resolve: resolve };
+
+            pending.push(item);
+            report(item, STATUS_QUEUED);
+            schedule();
+        }),
+        onIdle: () => new Promise((resolve) => {
+            if (pending.length == 0 && running == 0) {
+                return resolve();
+            }
+
+            idle.push(resolve);
+        }),
+        size: () => pending.length + issuing,
+        close: () => {
+            closed = true;
+            clearTimeout(timer);
+
+            for (const item of pending.splice(0)) {
+                settle(item, { error: new AcmeClientError("bac:failed:issuanceQueue", "The issuance queue was closed", 777777) });
+            }
+
+            schedule();
+        }
+    };
+}
+
+function createTokenBucket(limit, interval) {
+    let tokens = limit;
+    let updated = Date.now();
+    let queue = Promise.resolve();
+
+    const refill = () => {
+        const now = Date.now();
+
+        tokens = Math.min(limit, tokens + (now - updated) * limit / interval);
+        updated = now;
+    };
+
+    const waitTime = () => tokens < 1 ? Math.ceil((1 - tokens) * interval / limit) : 0;
+
+    const take = async () => {
+        refill();
+
+        if (tokens < 1) {
+            await sleep(waitTime());
+
+            return take();
+        }
+
+        tokens--;
+    };
+
+    // Waiting callers take their tokens in order, a cancelled wait does not stop the callers after it
+    return {
+        take: () => queue = queue.catch(() => { }).then(take),
+        consume: () => {
+            refill();
+            tokens--;
+
+            return waitTime();
+        }
+    };
+}
+
+function getAccountId(accountKey) {
+    return createHash('sha256').update(createPublicKey(accountKey).export({ type: 'spki', format: 'der' })).digest('hex');
+}
+
+function validationScope(account, identifier) {
+    return `${account}:${identifier.type}:${identifier.value}`;
+}
+
+function matchesAuthorization(identifier, authorization) {
+    const value = authorization.wildcard ? `*.${authorization.identifier.value}` : authorization.identifier.value;
+
+    return identifier.type === authorization.identifier.type && identifier.value === value;
+}
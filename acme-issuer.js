@@ -0,0 +1,378 @@
+/**
+ * ACME Issuer Module
+ * @module ACMEIssuerModule
+ * @description Runs the complete ACME certificate issuance state machine on top of the low-level ACME client calls.
+ * @copyright © 2024 FirstTimeEZ
+ * @license Apache-2.0
+ */
+
+import { createPublicKey } from 'crypto';
+import { AcmeProblemError, AcmeClientError } from './acme-errors.js';
+import { getStorageKeys } from './acme-storage.js';
+import { normalizeIdentifiers } from './acme-identifiers.js';
+import { checkTermsOfService } from './acme-directory.js';
+import { newDirectory, emitClientEvent, createJsonWebKey, createKeyAuthorization, createAccount, agreeToTermsOfService, createOrder, postAsGet, postAsGetChal, finalizeOrder, finalizeOrderWithCsr, downloadCertificate, formatPrivateKey, exportPrivateKey, generateAccountKey, generateCertificateKey, sleep } from './base-acme-client.js';
+
+const STATUS_PENDING = "pending";
+const STATUS_PROCESSING = "processing";
+const STATUS_READY = "ready";
+const STATUS_VALID = "valid";
+const STATUS_INVALID = "invalid";
+
+const POLL_INTERVAL = 2000;
+const POLL_ATTEMPTS = 30;
+
+/**
+ * Issues a certificate by running the complete ACME flow.
+ *
+ * Creates or reuses the account, creates the order, solves every pending authorization with the
+ * matching challenge handler, finalizes the order and downloads the certificate chain.
+ * Order and authorization status is polled until it settles, honoring `Retry-After`.
+ * @async
+ *
+ * @param {Object} options - The issuance options
+ * @param {string} options.directoryUrl - The URL of the ACME server's directory endpoint
+ * @param {Object} [options.accountKey] - The private key of the account, the stored key or a new P-256 key is used when not provided
+ * @param {Object} [options.certKey] - The private key of the certificate, a new P-256 key is used when neither it nor a CSR is provided
+ * @param {string|Uint8Array} [options.csr] - An existing PEM or DER CSR to finalize the order with instead of the certificate key (see `finalizeOrderWithCsr`)
+ * @param {Array<string|Object>} options.identifiers - Domain names, IP addresses or `{ type, value }` identifiers to include in the certificate
+ * @param {Object<string, Object>} options.challengeHandlers - Handlers keyed by challenge type (e.g. `http-01`), in order of preference
+ * @param {string} [options.kid] - Key Identifier of an existing account, an account is created or found when not provided
+ * @param {Object} [options.account] - Options passed to `createAccount` (contact, externalAccount, acceptTermsOfService)
+ * @param {string} [options.preferredChain] - The issuer common name of the preferred certificate chain
+ * @param {string} [options.replaces] - The ARI certificate identifier or the PEM-encoded certificate this issuance renews
+ * @param {string} [options.profile] - The name of a certificate profile from the `profiles` of the directory
+ * @param {number} [options.pollInterval=2000] - Milliseconds to wait between polls when the server does not send `Retry-After`
+ * @param {number} [options.pollAttempts=30] - Maximum number of polls for each order or authorization status change
+ * @param {Object} [options.storage] - Remembers the account, the in-flight order and the issued certificate (see `createFileStorage`)
+ * @param {Function} [options.throttle] - Awaited with the endpoint name (`newAccount`, `newOrder` or `finalize`) before each of those requests, for client-side rate limiting
+ *
+ * @returns {Promise<Object>} An object containing the certificate chain or error details
+ * @property {Object|null} get - The downloaded chain (see `downloadCertificate`) with the `order`, `orderUrl` and `kid`
+ *
+ * @property {null|Object} error - Error details if issuance fails, with the failing `authorization` when a challenge was not validated
+ *
+ * @description
+ * Each challenge handler is an object with two methods that receive the same context object:
+ * - `set(context)` - Provision the challenge response before the server is asked to validate it
+ * - `remove(context)` - Remove the challenge response after the authorization is no longer pending
+ *
+ * The context contains the `identifier`, `token`, `keyAuthorization`, `challenge`, `authorization` and `authorizationUrl`.
+ *
+ * Order status changes and settled challenges are emitted as `order` and `challenge` events on `clientEvents`.
+ *
+ * With a storage the account of the directory URL is reused instead of looked up, and an order that was not
+ * completed for the same identifiers (e.g. because the process crashed) is resumed instead of creating a new one.
+ * The stored account remembers the terms of service it accepted, when the server announces new terms of service the
+ * issuance fails until the new URL is passed as `options.account.acceptTermsOfService`.
+ * The issued chain and its private key are stored by directory and identifier set and can be read with `readStoredCertificate`.
+ *
+ * @example
+ * const result = await issueCertificate({
+ *   directoryUrl: "https://acme-staging-v02.api.letsencrypt.org/directory",
+ *   accountKey: accountPrivateKey,
+ *   certKey: certificatePrivateKey,
+ *   identifiers: ["example.com", "www.example.com"],
+ *   challengeHandlers: { "http-01": { set: async (context) => { }, remove: async (context) => { } } },
+ *   account: { acceptTermsOfService: reviewedTermsOfServiceUrl } // The termsOfService of the directory
+ * });
+ */
+export async function issueCertificate(options) {
+    try {
+        const { directoryUrl, challengeHandlers, preferredChain, storage } = options;
+
+        let identifiers = undefined;
+
+        try {
+            identifiers = normalizeIdentifiers(options.identifiers);
+        } catch (exception) {
+            return { error: new AcmeClientError("bac:invalid:issueCertificate", exception.message, 777778) };
+        }
+
+        const directory = await newDirectory(directoryUrl);
+
+        if (directory.error) {
+            return directory;
+        }
+
+        const acmeDirectory = directory.get;
+        const storageKeys = storage ? getStorageKeys(directoryUrl, identifiers) : undefined;
+        const storedAccount = storage ? await readStored(storage, storageKeys.account) : undefined;
+
+        const accountKey = options.accountKey || (storedAccount ? formatPrivateKey(storedAccount.accountKey) : generateAccountKey().privateKey);
+        const jsonWebKey = await createJsonWebKey(createPublicKey(accountKey));
+
+        let kid = options.kid;
+        let nonce = undefined;
+
+        if (kid == undefined && storedAccount && storedAccount.accountKey === exportPrivateKey(accountKey)) {
+            kid = storedAccount.kid;
+
+            const acceptTermsOfService = options.account ? options.account.acceptTermsOfService : undefined;
+            const terms = checkTermsOfService(acmeDirectory, storedAccount.termsOfService);
+
+            if (terms.changed) {
+                if (acceptTermsOfService !== terms.termsOfService) {
+                    return { error: new AcmeClientError("bac:invalid:issueCertificate", `The terms of service changed from ${storedAccount.termsOfService} to ${terms.termsOfService}, review them and pass the new URL as options.account.acceptTermsOfService`, 777778) };
+                }
+
+                const agreed = await agreeToTermsOfService(kid, nonce, accountKey, acceptTermsOfService, acmeDirectory);
+
+                if (agreed.error) {
+                    return agreed;
+                }
+
+                nonce = agreed.nonce;
+
+                await storage.set(storageKeys.account, JSON.stringify({ ...storedAccount, termsOfService: terms.termsOfService }));
+            }
+        }
+
+        if (kid == undefined) {
+            await throttle(options, "newAccount");
+
+            const account = await createAccount(nonce, accountKey, jsonWebKey.key, acmeDirectory, options.account);
+
+            if (account.error) {
+                return account;
+            }
+
+            kid = account.location;
+            nonce = account.nonce;
+
+            if (storage) {
+                await storage.set(storageKeys.account, JSON.stringify({ directoryUrl: directoryUrl, kid: kid, accountKey: exportPrivateKey(accountKey), termsOfService: acmeDirectory.termsOfService }));
+            }
+        }
+
+        const storedOrder = storage ? await readStored(storage, storageKeys.order) : undefined;
+
+        let order = undefined;
+        let certKey = options.certKey;
+
+        if (storedOrder && storedOrder.kid === kid) {
+            const resumed = await postAsGet(kid, nonce, accountKey, storedOrder.orderUrl, acmeDirectory);
+
+            if (!resumed.error && resumed.get.status !== STATUS_INVALID && new Date(resumed.get.expires).getTime() > Date.now()) {
+                order = { ...resumed, location: storedOrder.orderUrl };
+
+                if (storedOrder.certKey && (certKey == undefined || (resumed.get.status !== STATUS_PENDING && resumed.get.status !== STATUS_READY))) {
+                    certKey = formatPrivateKey(storedOrder.certKey); // The order may already be finalized with the stored key
+                }
+            }
+
+            nonce = resumed.nonce;
+        }
+
+        if (options.csr == undefined) {
+            certKey = certKey || generateCertificateKey().privateKey;
+        }
+
+        if (order == undefined) {
+            await throttle(options, "newOrder");
+
+            order = await createOrder(kid, nonce, accountKey, identifiers, acmeDirectory, { replaces: options.replaces, profile: options.profile });
+
+            if (order.error) {
+                return order;
+            }
+
+            if (storage) {
+                await storage.set(storageKeys.order, JSON.stringify({ orderUrl: order.location, kid: kid, certKey: certKey ? exportPrivateKey(certKey) : undefined }));
+            }
+        }
+
+        const orderUrl = order.location;
+        const orderChanged = watchOrder(orderUrl);
+
+        orderChanged(order.get.status);
+        nonce = order.nonce;
+
+        for (const authorizationUrl of order.get.authorizations) {
+            const authorization = await solveAuthorization(kid, nonce, accountKey, authorizationUrl, jsonWebKey.print, challengeHandlers, options, acmeDirectory);
+
+            if (authorization.error) {
+                return authorization;
+            }
+
+            nonce = authorization.nonce;
+        }
+
+        const ready = await pollStatus(kid, nonce, accountKey, orderUrl, [STATUS_PENDING], options, acmeDirectory, orderChanged);
+
+        if (ready.error) {
+            return ready;
+        }
+
+        if (ready.get.status !== STATUS_READY && ready.get.status !== STATUS_VALID) {
+            return issuanceError(`Order is ${ready.get.status} and can not be finalized`, ready.get.error, { order: ready.get, orderUrl: orderUrl });
+        }
+
+        nonce = ready.nonce;
+
+        let finalized = ready;
+
+        if (ready.get.status === STATUS_READY) {
+            await throttle(options, "finalize");
+
+            finalized = options.csr
+                ? await finalizeOrderWithCsr(kid, nonce, accountKey, ready.get.finalize, options.csr, ready.get.identifiers, acmeDirectory)
+                : await finalizeOrder(identifiers[0].value, kid, nonce, accountKey, createPublicKey(certKey), certKey, ready.get.finalize, identifiers, acmeDirectory);
+
+            if (finalized.error) {
+                return finalized;
+            }
+
+            orderChanged(finalized.get.status);
+            nonce = finalized.nonce;
+
+            if (finalized.get.status !== STATUS_VALID) {
+                finalized = await pollStatus(kid, nonce, accountKey, orderUrl, [STATUS_READY, STATUS_PROCESSING], options, acmeDirectory, orderChanged);
+
+                if (finalized.error) {
+                    return finalized;
+                }
+
+                nonce = finalized.nonce;
+            }
+        }
+
+        if (finalized.get.status !== STATUS_VALID || finalized.get.certificate == undefined) {
+            return issuanceError(`Order is ${finalized.get.status} after finalization`, finalized.get.error, { order: finalized.get, orderUrl: orderUrl });
+        }
+
+        const certificate = await downloadCertificate(kid, nonce, accountKey, finalized.get.certificate, acmeDirectory, preferredChain);
+
+        if (certificate.error) {
+            return certificate;
+        }
+
+        if (storage) {
+            // The key is written first, so an interrupted write never pairs the new chain with the key of the previous certificate
+            if (certKey) {
+                await storage.set(storageKeys.certificateKey, exportPrivateKey(certKey));
+            }
+            else {
+                await storage.remove(storageKeys.certificateKey);
+            }
+
+            await storage.set(storageKeys.certificate, certificate.get.pem);
+            await storage.remove(storageKeys.order);
+        }
+
+        return {
+            get: { ...certificate.get, order: finalized.get, orderUrl: orderUrl, kid: kid },
+            nonce: certificate.nonce
+        };
+    } catch (exception) {
+        return { error: new AcmeClientError("bac:exception:issueCertificate", exception, 777779) };
+    }
+}
+
+async function throttle(options, endpoint) {
+    if (options.throttle) {
+        await options.throttle(endpoint);
+    }
+}
+
+async function solveAuthorization(kid, nonce, privateKey, authorizationUrl, thumbprint, challengeHandlers, options, acmeDirectory) {
+    const authorization = await postAsGet(kid, nonce, privateKey, authorizationUrl, acmeDirectory);
+
+    if (authorization.error || authorization.get.status !== STATUS_PENDING) {
+        return authorization.error || authorization.get.status === STATUS_VALID
+            ? authorization
+            : issuanceError(`Authorization for ${authorization.get.identifier.value} is ${authorization.get.status}`, undefined, { authorization: authorization.get, authorizationUrl: authorizationUrl });
+    }
+
+    const type = Object.keys(challengeHandlers).find((handlerType) => authorization.get.challenges.some((challenge) => challenge.type === handlerType));
+
+    if (type == undefined) {
+        return issuanceError(`No challenge handler for ${authorization.get.identifier.value}, offered ${authorization.get.challenges.map((challenge) => challenge.type).join(', ')}`, undefined, { authorization: authorization.get, authorizationUrl: authorizationUrl });
+    }
+
+    const handler = challengeHandlers[type];
+    const challenge = authorization.get.challenges.find((offered) => offered.type === type);
+
+    const context = {
+        identifier: authorization.get.identifier,
+        token: challenge.token,
+        keyAuthorization: createKeyAuthorization(challenge.token, thumbprint),
+        challenge: challenge,
+        authorization: authorization.get,
+        authorizationUrl: authorizationUrl
+    };
+
+    await handler.set(context);
+
+    try {
+        const triggered = await postAsGetChal(kid, authorization.nonce, privateKey, challenge.url, acmeDirectory);
+
+        if (triggered.error) {
+            return triggered;
+        }
+
+        const settled = await pollStatus(kid, triggered.nonce, privateKey, authorizationUrl, [STATUS_PENDING], options, acmeDirectory);
+
+        if (!settled.error) {
+            emitClientEvent("challenge", { identifier: settled.get.identifier, type: type, status: settled.get.status, authorizationUrl: authorizationUrl });
+        }
+
+        if (settled.error || settled.get.status === STATUS_VALID) {
+            return settled;
+        }
+
+        const failed = settled.get.challenges.find((offered) => offered.type === type) || challenge;
+
+        return issuanceError(`Authorization for ${settled.get.identifier.value} is ${settled.get.status}`, failed.error, { authorization: settled.get, authorizationUrl: authorizationUrl });
+    } finally {
+        if (handler.remove) {
+            await handler.remove(context);
+        }
+    }
+}
+
+async function pollStatus(kid, nonce, privateKey, url, waitingStatuses, options, acmeDirectory, statusChanged) {
+    const attempts = options.pollAttempts || POLL_ATTEMPTS;
+
+    for (let attempt = 1; ; attempt++) {
+        const answer = await postAsGet(kid, nonce, privateKey, url, acmeDirectory);
+
+        if (statusChanged && !answer.error) {
+            statusChanged(answer.get.status);
+        }
+
+        if (answer.error || !waitingStatuses.includes(answer.get.status) || attempt >= attempts) {
+            return answer;
+        }
+
+        nonce = answer.nonce;
+
+        await sleep(answer.retryAfter != undefined ? answer.retryAfter : (options.pollInterval || POLL_INTERVAL));
+    }
+}
+
+async function readStored(storage, key) {
+    const value = await storage.get(key);
+
+    return value ? JSON.parse(value) : undefined;
+}
+
+function watchOrder(orderUrl) {
+    let previousStatus = undefined;
+
+    return (status) => {
+        if (status !== previousStatus) {
+            emitClientEvent("order", { orderUrl: orderUrl, status: status, previousStatus: previousStatus });
+
+            previousStatus = status;
+        }
+    };
+}
+
+function issuanceError(detail, problem, details) {
+    const error = problem && problem.type
+        ? new AcmeProblemError({ ...problem, detail: problem.detail ? `${detail}: ${problem.detail}` : detail })
+        : new AcmeClientError("bac:failed:issueCertificate", detail, 777777);
+
+    return { error: Object.assign(error, details) };
+}
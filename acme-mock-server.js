@@ -0,0 +1,841 @@
+/**
+ * ACME Mock Server Module
+ * @module ACMEMockServerModule
+ * @description An in-process ACME server (RFC 8555) with a throwaway certificate authority and fault injection, for testing without network access.
+ * @copyright © 2024 FirstTimeEZ
+ * @license Apache-2.0
+ */
+
+import { createServer } from 'http';
+import { createHmac, createPublicKey, generateKeyPairSync, randomBytes, timingSafeEqual, verify } from 'crypto';
+import { base64urlEncode, createJsonWebKey, getCertificateId } from './base-acme-client.js';
+import { createCertificate, decodeCertificateSigningRequest } from './acme-x509.js';
+
+const CONTENT_TYPE = "Content-Type";
+const CONTENT_TYPE_JSON = 'application/json';
+const CONTENT_TYPE_PROBLEM = 'application/problem+json';
+const CONTENT_TYPE_PEM_CHAIN = 'application/pem-certificate-chain';
+const REPLAY_NONCE = 'Replay-Nonce';
+const LOCATION = "Location";
+const LINK = "Link";
+const RETRY_AFTER = "Retry-After";
+
+const ACME_ERROR = "urn:ietf:params:acme:error:";
+
+const STATUS_PENDING = "pending";
+const STATUS_PROCESSING = "processing";
+const STATUS_READY = "ready";
+const STATUS_VALID = "valid";
+const STATUS_INVALID = "invalid";
+const STATUS_DEACTIVATED = "deactivated";
+
+const CHALLENGE_TYPES = ["http-01", "dns-01", "tls-alpn-01"];
+const WILDCARD_LABEL = "*.";
+
+const CA_COMMON_NAME = "Mock ACME Root";
+const ALTERNATE_CA_COMMON_NAME = "Mock ACME Alternate Root";
+const ALTERNATE_CHAIN = "alternate";
+const CA_VALIDITY = 365 * 24 * 60 * 60 * 1000;
+const CERTIFICATE_VALIDITY = 90 * 24 * 60 * 60 * 1000;
+const ORDER_LIFETIME = 7 * 24 * 60 * 60 * 1000;
+const RENEWAL_INFO_RETRY_AFTER = 6 * 60 * 60;
+
+const REVOCATION_REASONS = [0, 1, 2, 3, 4, 5, 6, 8, 9, 10];
+
+const JWS_VERIFIERS = {
+    'RS256': { digest: "sha256" },
+    'ES256': { digest: "sha256", dsaEncoding: 'ieee-p1363' },
+    'ES384': { digest: "sha384", dsaEncoding: 'ieee-p1363' },
+    'ES512': { digest: "sha512", dsaEncoding: 'ieee-p1363' },
+    'EdDSA': { digest: null }
+};
+
+const MAC_DIGESTS = {
+    'HS256': "sha256",
+    'HS384': "sha384",
+    'HS512': "sha512"
+};
+
+const FAULT_TYPES = {
+    badNonce: { status: 400, detail: "JWS has an invalid anti-replay nonce" },
+    rateLimited: { status: 429, detail: "Too many requests" },
+    serverError: { status: 500, detail: "The server experienced an internal error" },
+    invalidChallenge: { status: 403, detail: "The key authorization could not be validated" }
+};
+
+/**
+ * Creates an in-process ACME server for tests that must run without network access.
+ *
+ * The server implements the directory, nonce, account, key change, order, authorization, challenge, finalize, certificate,
+ * revocation and renewal information endpoints. Every request is checked like a real server would: the JWS signature,
+ * the anti-replay nonce, the `url` header and the account of the key identifier. A CSR is rejected with badCSR when its
+ * signature is not valid, its names are not exactly the identifiers of the order or it uses the account key.
+ * Certificates are issued from a throwaway certificate authority that is created with the server, and every certificate
+ * also has an alternate chain (`Link: rel="alternate"`) that is issued by the "Mock ACME Alternate Root".
+ *
+ * @param {Object} [options] - Optional server settings
+ * @param {Function} [options.validateChallenge] - Decides the outcome of a challenge `async ({ type, identifier, token, keyAuthorization, expectedKeyAuthorization }) => boolean`, every challenge is valid when not provided
+ * @param {number} [options.validationDelay=0] - Milliseconds before a triggered challenge or a finalized order settles
+ * @param {string} [options.termsOfService] - The terms of service URL announced in the directory metadata
+ * @param {string[]} [options.caaIdentities] - The CAA identities announced in the directory metadata
+ * @param {Object<string, string>} [options.profiles] - The certificate profiles announced in the directory metadata, with their descriptions
+ * @param {number} [options.certificateValidity=7776000000] - Milliseconds each issued certificate is valid for
+ * @param {number} [options.ordersPerPage] - The number of orders on each page of the orders list, linked with `Link: rel="next"`, every order is on one page when not provided
+ * @param {Object<string, string>} [options.externalAccounts] - The base64url-encoded HMAC keys of the external accounts keyed by their key identifier, new accounts require an External Account Binding when provided
+ *
+ * @returns {Object} The mock ACME server
+ * @property {Function} listen - Starts the server `(port = 0, host = "127.0.0.1")` and resolves with the directory URL
+ * @property {Function} close - Stops the server
+ * @property {Function} handleRequest - Answers a `node:http` request `(request, response)`, for use with an existing server
+ * @property {Function} injectFault - Makes the next matching requests fail `({ type, endpoint, count = 1, retryAfter, status })`
+ * @property {Function} clearFaults - Removes every fault that was not used yet
+ * @property {string} caCertificate - The PEM-encoded root certificate of the throwaway certificate authority
+ * @property {Function} isRevoked - Returns true if the PEM-encoded or DER-encoded certificate was revoked `(certificate)`
+ *
+ * @description
+ * Faults apply to the next `count` requests of the endpoint, or of every endpoint when no endpoint is provided:
+ * - `badNonce` - Rejects the nonce of a signed request
+ * - `rateLimited` - Answers with rateLimited (429) and `Retry-After` seconds when `retryAfter` is provided
+ * - `serverError` - Answers with serverInternal and the `status`, 500 by default
+ * - `invalidChallenge` - Makes the next challenge validations fail with unauthorized
+ *
+ * The endpoints are `directory`, `newNonce`, `newAccount`, `account`, `keyChange`, `orders`, `newOrder`, `order`, `authorization`,
+ * `challenge`, `finalize`, `certificate`, `revokeCert` and `renewalInfo`.
+ *
+ * @example
+ * const server = createMockAcmeServer();
+ * const directoryUrl = await server.listen();
+ *
+ * server.injectFault({ type: "rateLimited", endpoint: "newOrder", retryAfter: 1 });
+ *
+ * const result = await issueCertificate({ directoryUrl, accountKey, certKey, identifiers: ["example.com"], challengeHandlers: { "http-01": { set: async () => { } } } });
+ *
+ * await server.close();
+ */
+export function createMockAcmeServer(options = {}) {
+    const validateChallenge = options.validateChallenge || (async () => true);
+    const validationDelay = options.validationDelay || 0;
+    const certificateValidity = options.certificateValidity || CERTIFICATE_VALIDITY;
+
+    const caKeys = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const caCertificate = createCertificate({
+        publicKey: caKeys.publicKey,
+        signingKey: caKeys.privateKey,
+        commonName: CA_COMMON_NAME,
+        notAfter: new Date(Date.now() + CA_VALIDITY),
+        isCertificateAuthority: true
+    });
+
+    // The root cross-signed by a second root, served as the alternate chain like the cross-signed chains of public CAs
+    const alternateCaKeys = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const crossSignedCertificate = createCertificate({
+        publicKey: caKeys.publicKey,
+        signingKey: alternateCaKeys.privateKey,
+        commonName: CA_COMMON_NAME,
+        issuer: { commonName: ALTERNATE_CA_COMMON_NAME },
+        notAfter: new Date(Date.now() + CA_VALIDITY),
+        isCertificateAuthority: true
+    });
+
+    const nonces = new Set();
+    const accounts = new Map();
+    const orders = new Map();
+    const authorizations = new Map();
+    const challenges = new Map();
+    const certificates = new Map();
+
+    let faults = [];
+    let server = undefined;
+
+    const newId = () => base64urlEncode(randomBytes(12));
+
+    const newNonce = () => {
+        const nonce = base64urlEncode(randomBytes(16));
+
+        nonces.add(nonce);
+
+        return nonce;
+    };
+
+    const takeFault = (types, endpoint) => {
+        const fault = faults.find((candidate) => types.includes(candidate.type) && (candidate.endpoint == undefined || candidate.endpoint === endpoint));
+
+        if (fault && --fault.count <= 0) {
+            faults = faults.filter((candidate) => candidate !== fault);
+        }
+
+        return fault;
+    };
+
+    const settle = (work) => setTimeout(() => work().catch(() => { }), validationDelay).unref();
+
+    const verifyJws = async (body, url, requireJwk) => {
+        let jws, header, payload;
+
+        try {
+            jws = JSON.parse(body);
+            header = JSON.parse(Buffer.from(jws.protected, 'base64url').toString());
+            payload = jws.payload === "" ? null : JSON.parse(Buffer.from(jws.payload, 'base64url').toString());
+        } catch {
+            throw problem("malformed", "The request is not a valid flattened JWS");
+        }
+
+        if (header.nonce == undefined || !nonces.delete(header.nonce)) {
+            throw problem("badNonce", "JWS has an invalid anti-replay nonce");
+        }
+
+        if (header.url !== url) {
+            throw problem("unauthorized", `The JWS url header does not match the request URL ${url}`);
+        }
+
+        if (JWS_VERIFIERS[header.alg] == undefined) {
+            throw problem("badSignatureAlgorithm", `The JWS algorithm ${header.alg} is not supported`);
+        }
+
+        if (requireJwk != undefined && (header.jwk != undefined) !== requireJwk) {
+            throw problem("malformed", requireJwk ? "The JWS must contain the jwk header" : "The JWS must contain the kid header");
+        }
+
+        if ((header.jwk != undefined) === (header.kid != undefined)) {
+            throw problem("malformed", "The JWS must contain either the jwk or the kid header");
+        }
+
+        const account = header.kid != undefined ? accounts.get(header.kid) : undefined;
+
+        if (header.kid != undefined && (account == undefined || account.status !== STATUS_VALID)) {
+            throw problem(account == undefined ? "accountDoesNotExist" : "unauthorized", `The account ${header.kid} does not exist or is not valid`);
+        }
+
+        const publicKey = account ? account.publicKey : createPublicKey({ key: header.jwk, format: 'jwk' });
+
+        verifySignature(jws, header.alg, publicKey);
+
+        return { header: header, payload: payload, account: account, publicKey: publicKey };
+    };
+
+    // The binding is a JWS of the account key, MACed with the key of an external account (RFC 8555 Section 7.3.4)
+    const verifyExternalAccountBinding = async (binding, url, publicKey) => {
+        if (binding == undefined) {
+            throw problem("externalAccountRequired", "The account must be bound to an external account");
+        }
+
+        let header, boundKey;
+
+        try {
+            header = JSON.parse(Buffer.from(binding.protected, 'base64url').toString());
+            boundKey = createPublicKey({ key: JSON.parse(Buffer.from(binding.payload, 'base64url').toString()), format: 'jwk' });
+        } catch {
+            throw problem("malformed", "The externalAccountBinding is not a flattened JWS of a JSON Web Key");
+        }
+
+        const hmacKey = options.externalAccounts[header.kid];
+
+        if (MAC_DIGESTS[header.alg] == undefined || header.url !== url || header.nonce != undefined || hmacKey == undefined) {
+            throw problem("unauthorized", "The externalAccountBinding has an unknown key identifier or an invalid header");
+        }
+
+        const mac = createHmac(MAC_DIGESTS[header.alg], Buffer.from(hmacKey, 'base64url')).update(`${binding.protected}.${binding.payload}`).digest();
+        const signature = Buffer.from(String(binding.signature), 'base64url');
+
+        if (signature.length !== mac.length || !timingSafeEqual(signature, mac)) {
+            throw problem("unauthorized", "The externalAccountBinding signature is invalid");
+        }
+
+        if ((await createJsonWebKey(boundKey)).print !== (await createJsonWebKey(publicKey)).print) {
+            throw problem("unauthorized", "The externalAccountBinding does not bind the account key");
+        }
+    };
+
+    // The payload of a key change is a JWS signed by the new key, without a nonce and for the same url (RFC 8555 Section 7.3.5)
+    const verifyKeyChange = async (outer) => {
+        let jws, header, payload, newKey, oldKey;
+
+        try {
+            jws = outer.payload;
+            header = JSON.parse(Buffer.from(jws.protected, 'base64url').toString());
+            payload = JSON.parse(Buffer.from(jws.payload, 'base64url').toString());
+            newKey = createPublicKey({ key: header.jwk, format: 'jwk' });
+            oldKey = createPublicKey({ key: payload.oldKey, format: 'jwk' });
+        } catch {
+            throw problem("malformed", "The payload is not a flattened JWS with the jwk header and the oldKey");
+        }
+
+        if (header.kid != undefined || header.nonce != undefined) {
+            throw problem("malformed", "The inner JWS must not contain the kid or nonce header");
+        }
+
+        if (header.url !== outer.header.url) {
+            throw problem("malformed", "The url of the inner JWS does not match the url of the outer JWS");
+        }
+
+        if (JWS_VERIFIERS[header.alg] == undefined) {
+            throw problem("badSignatureAlgorithm", `The JWS algorithm ${header.alg} is not supported`);
+        }
+
+        verifySignature(jws, header.alg, newKey);
+
+        if (payload.account !== outer.account.kid) {
+            throw problem("unauthorized", "The account of the inner JWS does not match the key identifier");
+        }
+
+        if ((await createJsonWebKey(oldKey)).print !== outer.account.print) {
+            throw problem("unauthorized", "The oldKey does not match the current key of the account");
+        }
+
+        return newKey;
+    };
+
+    const findAccount = async (publicKey) => {
+        const print = (await createJsonWebKey(publicKey)).print;
+
+        return [...accounts.values()].find((account) => account.print === print);
+    };
+
+    const ownedBy = (resource, account) => {
+        if (resource == undefined || resource.account !== account) {
+            throw problem("malformed", "The resource does not exist", 404);
+        }
+
+        return resource;
+    };
+
+    const orderObject = (order) => ({
+        status: order.status,
+        expires: order.expires,
+        identifiers: order.identifiers,
+        authorizations: order.authorizations.map((id) => `${order.base}/authz/${id}`),
+        finalize: `${order.base}/finalize/${order.id}`,
+        ...(order.certificate ? { certificate: `${order.base}/cert/${order.certificate}` } : {}),
+        ...(order.replaces ? { replaces: order.replaces } : {}),
+        ...(order.profile ? { profile: order.profile } : {}),
+        ...(order.error ? { error: order.error } : {})
+    });
+
+    const authorizationObject = (authorization) => ({
+        status: authorization.status,
+        expires: authorization.expires,
+        identifier: authorization.identifier,
+        challenges: authorization.challenges.map((id) => challengeObject(challenges.get(id))),
+        ...(authorization.wildcard ? { wildcard: true } : {})
+    });
+
+    const challengeObject = (challenge) => ({
+        type: challenge.type,
+        url: `${challenge.base}/chal/${challenge.id}`,
+        status: challenge.status,
+        token: challenge.token,
+        ...(challenge.validated ? { validated: challenge.validated } : {}),
+        ...(challenge.error ? { error: challenge.error } : {})
+    });
+
+    const updateOrders = (authorization) => {
+        for (const order of orders.values()) {
+            if (order.status !== STATUS_PENDING || !order.authorizations.includes(authorization.id)) {
+                continue;
+            }
+
+            const statuses = order.authorizations.map((id) => authorizations.get(id).status);
+
+            if (statuses.includes(STATUS_INVALID)) {
+                order.status = STATUS_INVALID;
+                order.error = { type: `${ACME_ERROR}unauthorized`, detail: `Authorization for ${authorization.identifier.value} is invalid`, status: 403 };
+            }
+            else if (statuses.every((status) => status === STATUS_VALID)) {
+                order.status = STATUS_READY;
+            }
+        }
+    };
+
+    const validate = async (challenge, authorization, account) => {
+        const expectedKeyAuthorization = `${challenge.token}.${account.print}`;
+        const fault = takeFault(["invalidChallenge"], "challenge");
+
+        const valid = fault == undefined && await validateChallenge({
+            type: challenge.type,
+            identifier: authorization.identifier,
+            token: challenge.token,
+            keyAuthorization: challenge.keyAuthorization,
+            expectedKeyAuthorization: expectedKeyAuthorization
+        });
+
+        challenge.status = valid ? STATUS_VALID : STATUS_INVALID;
+        authorization.status = challenge.status;
+
+        if (valid) {
+            challenge.validated = new Date().toISOString();
+        }
+        else {
+            challenge.error = { type: `${ACME_ERROR}unauthorized`, detail: FAULT_TYPES.invalidChallenge.detail, status: 403 };
+        }
+
+        updateOrders(authorization);
+    };
+
+    const issue = async (order, publicKey) => {
+        const notBefore = new Date();
+        const notAfter = new Date(notBefore.getTime() + certificateValidity);
+
+        const leaf = createCertificate({
+            publicKey: publicKey,
+            signingKey: caKeys.privateKey,
+            commonName: order.identifiers[0].value,
+            altNames: order.identifiers,
+            issuer: { commonName: CA_COMMON_NAME },
+            notBefore: notBefore,
+            notAfter: notAfter
+        });
+
+        const id = newId();
+
+        certificates.set(id, {
+            id: id,
+            account: order.account,
+            certId: getCertificateId(leaf),
+            leaf: leaf,
+            chain: leaf + caCertificate,
+            alternateChain: leaf + crossSignedCertificate,
+            publicKey: publicKey,
+            notBefore: notBefore,
+            notAfter: notAfter,
+            revoked: false
+        });
+
+        order.certificate = id;
+        order.status = STATUS_VALID;
+    };
+
+    const routes = {
+        directory: async (context) => reply(context, 200, {
+            newNonce: `${context.base}/new-nonce`,
+            newAccount: `${context.base}/new-account`,
+            newOrder: `${context.base}/new-order`,
+            revokeCert: `${context.base}/revoke-cert`,
+            keyChange: `${context.base}/key-change`,
+            renewalInfo: `${context.base}/renewal-info`,
+            meta: {
+                ...(options.termsOfService ? { termsOfService: options.termsOfService } : {}),
+                ...(options.caaIdentities ? { caaIdentities: options.caaIdentities } : {}),
+                ...(options.profiles ? { profiles: options.profiles } : {}),
+                externalAccountRequired: options.externalAccounts != undefined
+            }
+        }),
+        newNonce: async (context) => reply(context, context.request.method === "HEAD" ? 200 : 204),
+        newAccount: async (context) => {
+            const jws = await verifyJws(context.body, context.url, true);
+            const payload = jws.payload || {};
+            const existing = await findAccount(jws.publicKey);
+
+            if (existing) {
+                return reply(context, 200, accountObject(existing), { [LOCATION]: `${context.base}/account/${existing.id}` });
+            }
+
+            if (payload.onlyReturnExisting) {
+                throw problem("accountDoesNotExist", "No account exists with the provided key");
+            }
+
+            if (options.termsOfService && payload.termsOfServiceAgreed !== true) {
+                throw problem("userActionRequired", "The terms of service must be agreed to");
+            }
+
+            if (options.externalAccounts) {
+                await verifyExternalAccountBinding(payload.externalAccountBinding, context.url, jws.publicKey);
+            }
+
+            const id = newId();
+            const kid = `${context.base}/account/${id}`;
+
+            const account = {
+                id: id,
+                kid: kid,
+                print: (await createJsonWebKey(jws.publicKey)).print,
+                publicKey: jws.publicKey,
+                status: STATUS_VALID,
+                contact: payload.contact || [],
+                orders: `${context.base}/orders/${id}`
+            };
+
+            accounts.set(kid, account);
+
+            return reply(context, 201, accountObject(account), { [LOCATION]: kid });
+        },
+        account: async (context) => {
+            const jws = await verifyJws(context.body, context.url, false);
+            const account = jws.account;
+
+            if (account.id !== context.id) {
+                throw problem("unauthorized", "The account does not belong to the key identifier");
+            }
+
+            if (jws.payload && jws.payload.contact) {
+                account.contact = jws.payload.contact;
+            }
+
+            if (jws.payload && jws.payload.status === STATUS_DEACTIVATED) {
+                account.status = STATUS_DEACTIVATED;
+            }
+
+            return reply(context, 200, accountObject(account), { [LOCATION]: account.kid });
+        },
+        keyChange: async (context) => {
+            const jws = await verifyJws(context.body, context.url, false);
+            const newKey = await verifyKeyChange(jws);
+            const existing = await findAccount(newKey);
+
+            if (existing) {
+                throw problem("malformed", "The new key is already in use by an account", 409, { [LOCATION]: existing.kid });
+            }
+
+            jws.account.publicKey = newKey;
+            jws.account.print = (await createJsonWebKey(newKey)).print;
+
+            return reply(context, 200, accountObject(jws.account), { [LOCATION]: jws.account.kid });
+        },
+        orders: async (context) => {
+            const jws = await verifyJws(context.body, context.url, false);
+
+            if (jws.account.id !== context.id) {
+                throw problem("unauthorized", "The orders do not belong to the key identifier");
+            }
+
+            const owned = [...orders.values()].filter((order) => order.account === jws.account && order.status !== STATUS_INVALID);
+            const perPage = options.ordersPerPage || Math.max(owned.length, 1);
+            const page = parseInt(context.query.get("page"), 10) || 0;
+            const next = (page + 1) * perPage < owned.length ? { [LINK]: [`<${context.base}/directory>;rel="index"`, `<${context.base}/orders/${context.id}?page=${page + 1}>;rel="next"`] } : {};
+
+            return reply(context, 200, { orders: owned.slice(page * perPage, (page + 1) * perPage).map((order) => `${context.base}/order/${order.id}`) }, next);
+        },
+        newOrder: async (context) => {
+            const jws = await verifyJws(context.body, context.url, false);
+            const identifiers = jws.payload && jws.payload.identifiers;
+
+            if (!Array.isArray(identifiers) || identifiers.length == 0 || identifiers.some((identifier) => !identifier || typeof identifier.value !== 'string' || !["dns", "ip"].includes(identifier.type))) {
+                throw problem("rejectedIdentifier", "The order must contain dns or ip identifiers");
+            }
+
+            if (jws.payload.replaces != undefined && ![...certificates.values()].some((certificate) => certificate.certId === jws.payload.replaces && certificate.account === jws.account)) {
+                throw problem("malformed", `The certificate ${jws.payload.replaces} to replace was not found`, 409);
+            }
+
+            if (jws.payload.profile != undefined && !(options.profiles && Object.hasOwn(options.profiles, jws.payload.profile))) {
+                throw problem("invalidProfile", `The profile ${jws.payload.profile} is not offered`);
+            }
+
+            const expires = new Date(Date.now() + ORDER_LIFETIME).toISOString();
+
+            const order = {
+                id: newId(),
+                base: context.base,
+                account: jws.account,
+                status: STATUS_PENDING,
+                expires: expires,
+                identifiers: identifiers.map((identifier) => ({ type: identifier.type, value: identifier.value })),
+                authorizations: [],
+                replaces: jws.payload.replaces,
+                profile: jws.payload.profile
+            };
+
+            for (const identifier of order.identifiers) {
+                const wildcard = identifier.value.startsWith(WILDCARD_LABEL);
+                const types = wildcard ? ["dns-01"] : identifier.type === "ip" ? ["http-01", "tls-alpn-01"] : CHALLENGE_TYPES;
+
+                const authorization = {
+                    id: newId(),
+                    account: jws.account,
+                    status: STATUS_PENDING,
+                    expires: expires,
+                    identifier: { type: identifier.type, value: wildcard ? identifier.value.substring(WILDCARD_LABEL.length) : identifier.value },
+                    wildcard: wildcard,
+                    challenges: []
+                };
+
+                for (const type of types) {
+                    const challenge = { id: newId(), base: context.base, type: type, status: STATUS_PENDING, token: base64urlEncode(randomBytes(32)), authorization: authorization.id };
+
+                    challenges.set(challenge.id, challenge);
+                    authorization.challenges.push(challenge.id);
+                }
+
+                authorizations.set(authorization.id, authorization);
+                order.authorizations.push(authorization.id);
+            }
+
+            orders.set(order.id, order);
+
+            return reply(context, 201, orderObject(order), { [LOCATION]: `${context.base}/order/${order.id}` });
+        },
+        order: async (context) => {
+            const jws = await verifyJws(context.body, context.url, false);
+            const order = ownedBy(orders.get(context.id), jws.account);
+
+            return reply(context, 200, orderObject(order), { [LOCATION]: `${context.base}/order/${order.id}` });
+        },
+        authorization: async (context) => {
+            const jws = await verifyJws(context.body, context.url, false);
+            const authorization = ownedBy(authorizations.get(context.id), jws.account);
+
+            if (jws.payload && jws.payload.status === STATUS_DEACTIVATED) {
+                authorization.status = STATUS_DEACTIVATED;
+            }
+
+            return reply(context, 200, authorizationObject(authorization));
+        },
+        challenge: async (context) => {
+            const jws = await verifyJws(context.body, context.url, false);
+            const challenge = challenges.get(context.id);
+            const authorization = ownedBy(challenge && authorizations.get(challenge.authorization), jws.account);
+
+            if (jws.payload != null && challenge.status === STATUS_PENDING && authorization.status === STATUS_PENDING) {
+                challenge.status = STATUS_PROCESSING;
+                challenge.keyAuthorization = jws.payload.keyAuthorization;
+
+                settle(() => validate(challenge, authorization, jws.account));
+            }
+
+            return reply(context, 200, challengeObject(challenge), { [LINK]: `<${context.base}/authz/${authorization.id}>;rel="up"` });
+        },
+        finalize: async (context) => {
+            const jws = await verifyJws(context.body, context.url, false);
+            const order = ownedBy(orders.get(context.id), jws.account);
+
+            if (order.status !== STATUS_READY) {
+                throw problem("orderNotReady", `Order's status ("${order.status}") is not acceptable for finalization`, 403);
+            }
+
+            const publicKey = readCsrPublicKey(jws.payload && jws.payload.csr, order.identifiers);
+
+            if (publicKey.export({ type: 'spki', format: 'der' }).equals(jws.account.publicKey.export({ type: 'spki', format: 'der' }))) {
+                throw problem("badCSR", "The CSR must not use the account key");
+            }
+
+            order.status = STATUS_PROCESSING;
+
+            settle(() => issue(order, publicKey));
+
+            return reply(context, 200, orderObject(order), { [LOCATION]: `${context.base}/order/${order.id}`, [RETRY_AFTER]: "0" });
+        },
+        certificate: async (context) => {
+            const jws = await verifyJws(context.body, context.url, false);
+            const certificate = ownedBy(certificates.get(context.id), jws.account);
+            const alternateUrl = `${context.base}/cert/${certificate.id}${context.alternate ? "" : `/${ALTERNATE_CHAIN}`}`;
+
+            return reply(context, 200, context.alternate ? certificate.alternateChain : certificate.chain, {
+                [CONTENT_TYPE]: CONTENT_TYPE_PEM_CHAIN,
+                [LINK]: [`<${context.base}/directory>;rel="index"`, `<${alternateUrl}>;rel="alternate"`]
+            });
+        },
+        revokeCert: async (context) => {
+            const jws = await verifyJws(context.body, context.url);
+            const payload = jws.payload || {};
+
+            let certId = undefined;
+
+            try {
+                certId = getCertificateId(Buffer.from(payload.certificate, 'base64url'));
+            } catch {
+                throw problem("malformed", "The certificate to revoke could not be decoded");
+            }
+
+            const certificate = [...certificates.values()].find((issued) => issued.certId === certId);
+
+            if (certificate == undefined) {
+                throw problem("malformed", "The certificate to revoke was not issued by this server", 404);
+            }
+
+            const authorized = jws.account
+                ? jws.account === certificate.account
+                : jws.publicKey.export({ type: 'spki', format: 'der' }).equals(certificate.publicKey.export({ type: 'spki', format: 'der' }));
+
+            if (!authorized) {
+                throw problem("unauthorized", "The requester is not authorized to revoke the certificate", 403);
+            }
+
+            if (payload.reason != undefined && !REVOCATION_REASONS.includes(payload.reason)) {
+                throw problem("badRevocationReason", `The revocation reason ${payload.reason} is not allowed`);
+            }
+
+            if (certificate.revoked) {
+                throw problem("alreadyRevoked", "The certificate was already revoked");
+            }
+
+            certificate.revoked = true;
+
+            return reply(context, 200);
+        },
+        renewalInfo: async (context) => {
+            const certificate = [...certificates.values()].find((issued) => issued.certId === context.id);
+
+            if (certificate == undefined) {
+                throw problem("malformed", `No certificate with the identifier ${context.id} was issued`, 404);
+            }
+
+            const lifetime = certificate.notAfter.getTime() - certificate.notBefore.getTime();
+            const start = certificate.revoked ? Date.now() : certificate.notBefore.getTime() + lifetime * 2 / 3;
+            const end = certificate.revoked ? Date.now() + 60 * 60 * 1000 : start + lifetime / 9;
+
+            return reply(context, 200, {
+                suggestedWindow: { start: new Date(start).toISOString(), end: new Date(end).toISOString() }
+            }, { [RETRY_AFTER]: String(RENEWAL_INFO_RETRY_AFTER) });
+        }
+    };
+
+    const handleRequest = async (request, response) => {
+        const base = `http://${request.headers.host}`;
+        const { pathname: path, search, searchParams } = new URL(request.url, base);
+        const route = matchRoute(request.method, path);
+
+        const chunks = [];
+
+        for await (const chunk of request) {
+            chunks.push(chunk);
+        }
+
+        const context = { request: request, response: response, base: base, url: `${base}${path}${search}`, query: searchParams, id: route && route.id, alternate: route != undefined && route.alternate, body: Buffer.concat(chunks).toString() };
+
+        try {
+            if (route == undefined) {
+                throw problem("malformed", `No ${request.method} endpoint at ${path}`, 404);
+            }
+
+            const fault = takeFault(request.method === "POST" ? ["badNonce", "rateLimited", "serverError"] : ["rateLimited", "serverError"], route.endpoint);
+
+            if (fault) {
+                const headers = fault.retryAfter != undefined ? { [RETRY_AFTER]: String(fault.retryAfter) } : {};
+
+                throw problem(fault.type === "serverError" ? "serverInternal" : fault.type, FAULT_TYPES[fault.type].detail, fault.status || FAULT_TYPES[fault.type].status, headers);
+            }
+
+            await routes[route.endpoint](context);
+        } catch (exception) {
+            const failure = exception.problem ? exception : problem("serverInternal", String(exception), 500);
+
+            reply(context, failure.problem.status, failure.problem, { [CONTENT_TYPE]: CONTENT_TYPE_PROBLEM, ...failure.headers });
+        }
+    };
+
+    const reply = (context, status, body, headers = {}) => {
+        const text = body == undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body);
+
+        context.response.writeHead(status, {
+            [REPLAY_NONCE]: newNonce(),
+            [LINK]: `<${context.base}/directory>;rel="index"`,
+            ...(typeof body === 'object' ? { [CONTENT_TYPE]: CONTENT_TYPE_JSON } : {}),
+            ...headers
+        });
+
+        context.response.end(context.request.method === "HEAD" ? undefined : text);
+    };
+
+    return {
+        listen: (port = 0, host = "127.0.0.1") => new Promise((resolve, reject) => {
+            server = createServer((request, response) => handleRequest(request, response));
+
+            server.once('error', reject);
+            server.listen(port, host, () => resolve(`http://${host}:${server.address().port}/directory`));
+        }),
+        close: () => new Promise((resolve) => {
+            if (server == undefined) {
+                return resolve();
+            }
+
+            server.close(() => resolve());
+            server.closeAllConnections();
+            server = undefined;
+        }),
+        handleRequest: handleRequest,
+        injectFault: (fault) => {
+            if (FAULT_TYPES[fault.type] == undefined) {
+                throw new Error(`Unknown fault type ${fault.type}, use one of ${Object.keys(FAULT_TYPES).join(', ')}`);
+            }
+
+            faults.push({ ...fault, count: fault.count || 1 });
+        },
+        clearFaults: () => {
+            faults = [];
+        },
+        caCertificate: caCertificate,
+        isRevoked: (certificate) => {
+            const certId = getCertificateId(certificate);
+
+            return [...certificates.values()].some((issued) => issued.certId === certId && issued.revoked);
+        }
+    };
+}
+
+function matchRoute(method, path) {
+    const [, name, id, variant] = path.split('/');
+
+    const endpoints = method === "POST" ? {
+        'new-account': "newAccount",
+        'account': "account",
+        'key-change': "keyChange",
+        'orders': "orders",
+        'new-order': "newOrder",
+        'order': "order",
+        'authz': "authorization",
+        'chal': "challenge",
+        'finalize': "finalize",
+        'cert': "certificate",
+        'revoke-cert': "revokeCert"
+    } : {
+        'directory': "directory",
+        'new-nonce': "newNonce",
+        'renewal-info': "renewalInfo"
+    };
+
+    const endpoint = endpoints[name];
+
+    if (endpoint == undefined || (method !== "GET" && method !== "HEAD" && method !== "POST")) {
+        return undefined;
+    }
+
+    return { endpoint: endpoint, id: id, alternate: variant === ALTERNATE_CHAIN };
+}
+
+function accountObject(account) {
+    return { status: account.status, contact: account.contact, orders: account.orders };
+}
+
+function readCsrPublicKey(csr, identifiers) {
+    let request = undefined;
+
+    try {
+        request = decodeCertificateSigningRequest(String(csr));
+    } catch (exception) {
+        throw problem("badCSR", `The CSR could not be decoded: ${exception.message}`);
+    }
+
+    const expected = identifiers.map((identifier) => `${identifier.type}:${identifier.value.toLowerCase()}`).sort();
+    const requested = [...new Set(request.altNames.map((altName) => `${altName.type}:${altName.value.toLowerCase()}`))].sort();
+
+    if (expected.join(",") !== requested.join(",")) {
+        throw problem("badCSR", `The CSR names (${requested.join(", ") || "none"}) do not match the order identifiers (${expected.join(", ")})`);
+    }
+
+    if (request.commonName != null && !identifiers.some((identifier) => identifier.value.toLowerCase() === request.commonName.toLowerCase())) {
+        throw problem("badCSR", `The CSR common name ${request.commonName} is not one of the order identifiers`);
+    }
+
+    return request.publicKey;
+}
+
+function verifySignature(jws, alg, publicKey) {
+    const verifier = JWS_VERIFIERS[alg];
+    const signature = Buffer.from(jws.signature, 'base64url');
+    const signedData = Buffer.from(`${jws.protected}.${jws.payload}`);
+
+    let valid = false;
+
+    try {
+        valid = verify(verifier.digest, signedData, { key: publicKey, dsaEncoding: verifier.dsaEncoding }, signature);
+    } catch {
+        // The algorithm does not match the type of the key
+    }
+
+    if (!valid) {
+        throw problem("malformed", "The JWS signature is invalid");
+    }
+}
+
+function problem(type, detail, status = 400, headers = {}) {
+    return { problem: { type: `${ACME_ERROR}${type}`, detail: detail, status: status }, headers: headers };
+}
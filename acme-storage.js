@@ -0,0 +1,217 @@
+/**
+ * ACME Storage Module
+ * @module ACMEStorageModule
+ * @description Pluggable persistent storage for ACME accounts, keys, in-flight orders and issued certificates.
+ * @copyright © 2024 FirstTimeEZ
+ * @license Apache-2.0
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { mkdir, open, readdir, readFile, rename, rm } from 'fs/promises';
+import { dirname, join, relative, sep } from 'path';
+import { normalizeIdentifiers } from './acme-identifiers.js';
+import { certificateMatchesKey } from './acme-x509.js';
+
+const FILE_MODE = 0o600;
+const DIRECTORY_MODE = 0o700;
+
+const KEY_SEGMENT = /^[A-Za-z0-9._-]+$/;
+const UNSAFE_CHARACTERS = /[^A-Za-z0-9.-]+/g;
+
+const ACCOUNTS = "accounts";
+const ORDERS = "orders";
+const CERTIFICATES = "certificates";
+const CHAIN_FILE = "certificate.pem";
+const KEY_FILE = "private-key.pem";
+
+/**
+ * Creates a storage that keeps every value in files below a directory.
+ *
+ * Values are written to a temporary file that is flushed and renamed over the previous value, so a crash never
+ * leaves a partially written file. Files are created with mode 0600 and directories with mode 0700 by default.
+ *
+ * @param {string} directory - The directory that holds the stored values, it is created when it does not exist
+ * @param {Object} [options] - Optional storage settings
+ * @param {number} [options.fileMode=0o600] - The mode of the stored files
+ * @param {number} [options.directoryMode=0o700] - The mode of the created directories
+ *
+ * @returns {Object} The storage (see `createMemoryStorage` for the interface)
+ *
+ * @example
+ * const storage = createFileStorage("/var/lib/acme");
+ *
+ * const result = await issueCertificate({ ...options, storage });
+ */
+export function createFileStorage(directory, options = {}) {
+    const fileMode = options.fileMode || FILE_MODE;
+    const directoryMode = options.directoryMode || DIRECTORY_MODE;
+
+    const pathOf = (key) => join(directory, ...splitKey(key));
+
+    return {
+        get: async (key) => {
+            try {
+                return await readFile(pathOf(key), 'utf8');
+            } catch (exception) {
+                if (exception.code === 'ENOENT') {
+                    return undefined;
+                }
+
+                throw exception;
+            }
+        },
+        set: async (key, value) => {
+            const path = pathOf(key);
+            const temporaryPath = `${path}.${randomBytes(6).toString('hex')}.tmp`;
+
+            await mkdir(dirname(path), { recursive: true, mode: directoryMode });
+
+            const file = await open(temporaryPath, 'wx', fileMode);
+
+            try {
+                await file.writeFile(value, 'utf8');
+                await file.sync();
+            } finally {
+                await file.close();
+            }
+
+            try {
+                await rename(temporaryPath, path);
+            } catch (exception) {
+                await rm(temporaryPath, { force: true });
+
+                throw exception;
+            }
+        },
+        remove: async (key) => {
+            await rm(pathOf(key), { force: true });
+        },
+        list: async (prefix = "") => {
+            const base = prefix ? pathOf(prefix.replace(/\/+$/, "")) : directory;
+
+            try {
+                const entries = await readdir(base, { recursive: true, withFileTypes: true });
+
+                return entries
+                    .filter((entry) => entry.isFile() && !entry.name.endsWith(".tmp"))
+                    .map((entry) => relative(directory, join(entry.parentPath || entry.path, entry.name)).split(sep).join("/"))
+                    .sort();
+            } catch (exception) {
+                if (exception.code === 'ENOENT') {
+                    return [];
+                }
+
+                throw exception;
+            }
+        }
+    };
+}
+
+/**
+ * Creates a storage that keeps every value in memory, for tests and short-lived processes.
+ *
+ * Every storage, including custom ones, is an object with four methods that return promises:
+ * - `get(key)` - Resolves with the stored string, or undefined when nothing is stored
+ * - `set(key, value)` - Stores the string, replacing the previous value
+ * - `remove(key)` - Removes the value, does nothing when nothing is stored
+ * - `list(prefix)` - Resolves with the sorted keys that start with the prefix
+ *
+ * Keys are `/` separated paths such as `accounts/example.json`.
+ *
+ * @returns {Object} The storage
+ */
+export function createMemoryStorage() {
+    const values = new Map();
+
+    return {
+        get: async (key) => values.get(splitKey(key).join("/")),
+        set: async (key, value) => {
+            values.set(splitKey(key).join("/"), value);
+        },
+        remove: async (key) => {
+            values.delete(splitKey(key).join("/"));
+        },
+        list: async (prefix = "") => [...values.keys()].filter((key) => key.startsWith(prefix)).sort()
+    };
+}
+
+/**
+ * Returns the storage keys used for a directory URL and an identifier set.
+ *
+ * The identifier set is normalized with `normalizeIdentifiers` and sorted, so `Example.com.`, `example.com` and
+ * the same names in any order share their keys. Certificates are kept per directory, like accounts and orders.
+ *
+ * @param {string} directoryUrl - The URL of the ACME server's directory endpoint
+ * @param {Array<string|Object>} [identifiers] - Domain names or `{ type, value }` identifiers
+ *
+ * @returns {Object} The storage keys
+ * @property {string} account - The key of the account of the directory
+ * @property {string|undefined} order - The key of the in-flight order of the identifier set
+ * @property {string|undefined} certificate - The key of the issued certificate chain of the identifier set
+ * @property {string|undefined} certificateKey - The key of the private key of the issued certificate
+ */
+export function getStorageKeys(directoryUrl, identifiers) {
+    const directoryName = `${safeName(new URL(directoryUrl).host)}-${digest(directoryUrl)}`;
+    const account = `${ACCOUNTS}/${directoryName}.json`;
+
+    if (identifiers == undefined) {
+        return { account: account };
+    }
+
+    const setName = identifierSetName(identifiers);
+
+    return {
+        account: account,
+        order: `${ORDERS}/${directoryName}/${setName}.json`,
+        certificate: `${CERTIFICATES}/${directoryName}/${setName}/${CHAIN_FILE}`,
+        certificateKey: `${CERTIFICATES}/${directoryName}/${setName}/${KEY_FILE}`
+    };
+}
+
+/**
+ * Reads the certificate chain and private key stored for an identifier set by `issueCertificate`.
+ * @async
+ *
+ * @param {Object} storage - The storage
+ * @param {string} directoryUrl - The URL of the directory endpoint of the ACME server that issued the certificate
+ * @param {Array<string|Object>} identifiers - Domain names or `{ type, value }` identifiers of the certificate
+ *
+ * @returns {Promise<Object|undefined>} The stored certificate, or undefined when none is stored or the stored key does not belong to it
+ * @property {string} certificate - The PEM-encoded certificate chain
+ * @property {string} privateKey - The PEM-encoded private key of the certificate
+ */
+export async function readStoredCertificate(storage, directoryUrl, identifiers) {
+    const keys = getStorageKeys(directoryUrl, identifiers);
+    const certificate = await storage.get(keys.certificate);
+    const privateKey = await storage.get(keys.certificateKey);
+
+    if (certificate && privateKey && certificateMatchesKey(certificate, privateKey)) {
+        return { certificate: certificate, privateKey: privateKey };
+    }
+
+    return undefined;
+}
+
+function splitKey(key) {
+    const segments = String(key).split("/");
+
+    if (segments.some((segment) => !KEY_SEGMENT.test(segment) || segment === "." || segment === "..")) {
+        throw new Error(`Invalid storage key ${key}`);
+    }
+
+    return segments;
+}
+
+function identifierSetName(identifiers) {
+    const values = normalizeIdentifiers(identifiers).map((identifier) => identifier.value).sort();
+
+    return `${safeName(values[0])}-${digest(values.join(","))}`;
+}
+
+function safeName(value) {
+    return value.replace(UNSAFE_CHARACTERS, "_");
+}
+
+function digest(value) {
+    return createHash("sha256").update(value).digest('hex').substring(0, 16);
+}
@@ -0,0 +1,683 @@
+/**
+ * ACME X.509 Module
+ * @module ACMEX509Module
+ * @description A minimal DER encoder and decoder for creating and reading the X.509 certificates used with ACME.
+ * @copyright © 2024 FirstTimeEZ
+ * @license Apache-2.0
+ */
+
+import { createHash, createPrivateKey, createPublicKey, randomBytes, sign, verify, KeyObject, X509Certificate } from 'crypto';
+import { isIP } from 'net';
+import { encodeIpAddress } from './acme-identifiers.js';
+
+const TAG_BOOLEAN = 0x01;
+const TAG_INTEGER = 0x02;
+const TAG_BIT_STRING = 0x03;
+const TAG_OCTET_STRING = 0x04;
+const TAG_NULL = 0x05;
+const TAG_OID = 0x06;
+const TAG_UTF8_STRING = 0x0c;
+const TAG_UTC_TIME = 0x17;
+const TAG_GENERALIZED_TIME = 0x18;
+const TAG_SEQUENCE = 0x30;
+const TAG_SET = 0x31;
+const TAG_CONTEXT_DNS_NAME = 0x82;
+const TAG_CONTEXT_IP_ADDRESS = 0x87;
+const TAG_CONTEXT_KEY_IDENTIFIER = 0x80;
+const TAG_CONTEXT_VERSION = 0xa0;
+const TAG_CONTEXT_ATTRIBUTES = 0xa0;
+const TAG_CONTEXT_EXTENSIONS = 0xa3;
+
+const OID_COMMON_NAME = "2.5.4.3";
+const OID_ORGANIZATION = "2.5.4.10";
+const OID_SUBJECT_KEY_IDENTIFIER = "2.5.29.14";
+const OID_KEY_USAGE = "2.5.29.15";
+const OID_SUBJECT_ALT_NAME = "2.5.29.17";
+const OID_BASIC_CONSTRAINTS = "2.5.29.19";
+const OID_AUTHORITY_KEY_IDENTIFIER = "2.5.29.35";
+const OID_EXTENDED_KEY_USAGE = "2.5.29.37";
+const OID_SERVER_AUTH = "1.3.6.1.5.5.7.3.1";
+const OID_CLIENT_AUTH = "1.3.6.1.5.5.7.3.2";
+const OID_EXTENSION_REQUEST = "1.2.840.113549.1.9.14";
+
+const PEM_CERTIFICATE = /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g;
+
+const KEY_USAGE_DIGITAL_SIGNATURE = 0x80;
+const KEY_USAGE_KEY_ENCIPHERMENT = 0x20;
+const KEY_USAGE_KEY_CERT_SIGN = 0x04;
+const KEY_USAGE_CRL_SIGN = 0x02;
+
+const SIGNATURE_ALGORITHMS = {
+    'prime256v1': { oid: "1.2.840.10045.4.3.2", digest: "sha256" },
+    'secp384r1': { oid: "1.2.840.10045.4.3.3", digest: "sha384" },
+    'secp521r1': { oid: "1.2.840.10045.4.3.4", digest: "sha512" },
+    'rsa': { oid: "1.2.840.113549.1.1.11", digest: "sha256", parameters: true },
+    'ed25519': { oid: "1.3.101.112", digest: null },
+    'ed448': { oid: "1.3.101.113", digest: null }
+};
+
+const VALIDITY_DAYS = 7;
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates an X.509 v3 certificate.
+ *
+ * The certificate is self-signed unless an issuer is provided. Basic constraints, key usage, subject and
+ * authority key identifiers are always added, server and client authentication are added for end-entity certificates.
+ *
+ * @param {Object} options - The certificate settings
+ * @param {Object} options.publicKey - The public key of the certificate
+ * @param {Object} options.signingKey - The private key that signs the certificate, the key of the issuer or of the certificate itself
+ * @param {string} [options.commonName] - The common name of the subject
+ * @param {Array<string|Object>} [options.altNames] - DNS names, IP addresses or `{ type, value }` identifiers for the subject alternative names
+ * @param {Object} [options.issuer] - The issuer when the certificate is not self-signed
+ * @param {string} options.issuer.commonName - The common name of the issuer
+ * @param {string} [options.issuer.organization] - The organization of the issuer
+ * @param {string} [options.organization] - The organization of the subject
+ * @param {string} [options.serialNumber] - The serial number in hexadecimal format, random when not provided
+ * @param {Date} [options.notBefore] - The start of the validity period, defaults to now
+ * @param {Date} [options.notAfter] - The end of the validity period, defaults to 7 days after notBefore
+ * @param {boolean} [options.isCertificateAuthority=false] - true to create a certificate that can sign other certificates
+ * @param {Object[]} [options.extensions] - Additional extensions `{ oid, critical, value }` where value is the DER-encoded extension value
+ *
+ * @returns {string} The PEM-encoded certificate
+ */
+export function createCertificate(options) {
+    const publicKey = toPublicKey(options.publicKey);
+    const issuerPublicKey = toPublicKey(options.signingKey);
+    const algorithm = getSignatureAlgorithm(issuerPublicKey);
+
+    const notBefore = options.notBefore || new Date();
+    const notAfter = options.notAfter || new Date(notBefore.getTime() + VALIDITY_DAYS * DAY);
+    const subject = { commonName: options.commonName, organization: options.organization };
+
+    const extensions = [
+        encodeExtension(OID_BASIC_CONSTRAINTS, true, encodeSequence(options.isCertificateAuthority ? [encodeNode(TAG_BOOLEAN, Buffer.from([0xff]))] : [])),
+        encodeExtension(OID_KEY_USAGE, true, encodeBitFlags(options.isCertificateAuthority
+            ? KEY_USAGE_DIGITAL_SIGNATURE | KEY_USAGE_KEY_CERT_SIGN | KEY_USAGE_CRL_SIGN
+            : KEY_USAGE_DIGITAL_SIGNATURE | (publicKey.asymmetricKeyType === 'rsa' ? KEY_USAGE_KEY_ENCIPHERMENT : 0))),
+        encodeExtension(OID_SUBJECT_KEY_IDENTIFIER, false, encodeNode(TAG_OCTET_STRING, getKeyIdentifier(publicKey))),
+        encodeExtension(OID_AUTHORITY_KEY_IDENTIFIER, false, encodeSequence([encodeNode(TAG_CONTEXT_KEY_IDENTIFIER, getKeyIdentifier(issuerPublicKey))]))
+    ];
+
+    if (!options.isCertificateAuthority) {
+        extensions.push(encodeExtension(OID_EXTENDED_KEY_USAGE, false, encodeSequence([encodeOid(OID_SERVER_AUTH), encodeOid(OID_CLIENT_AUTH)])));
+    }
+
+    if (options.altNames && options.altNames.length > 0) {
+        extensions.push(encodeExtension(OID_SUBJECT_ALT_NAME, false, encodeGeneralNames(options.altNames)));
+    }
+
+    for (const extension of options.extensions || []) {
+        extensions.push(encodeExtension(extension.oid, extension.critical, extension.value));
+    }
+
+    const tbsCertificate = encodeSequence([
+        encodeNode(TAG_CONTEXT_VERSION, encodeInteger(Buffer.from([2]))),
+        encodeInteger(options.serialNumber ? Buffer.from(options.serialNumber, 'hex') : randomSerialNumber()),
+        encodeAlgorithm(algorithm),
+        encodeName(options.issuer || subject),
+        encodeSequence([encodeTime(notBefore), encodeTime(notAfter)]),
+        encodeName(subject),
+        publicKey.export({ type: 'spki', format: 'der' }),
+        encodeNode(TAG_CONTEXT_EXTENSIONS, encodeSequence(extensions))
+    ]);
+
+    const signature = sign(algorithm.digest, tbsCertificate, options.signingKey);
+
+    return derToPem(encodeSequence([tbsCertificate, encodeAlgorithm(algorithm), encodeBitString(signature)]), "CERTIFICATE");
+}
+
+/**
+ * Creates a PKCS #10 certificate signing request.
+ *
+ * The subject alternative names are requested with the extensionRequest attribute and may contain IP addresses,
+ * which is needed to finalize orders with ip identifiers (RFC 8738).
+ *
+ * @param {Object} options - The request settings
+ * @param {Object} options.privateKey - The private key of the certificate, it signs the request
+ * @param {string} [options.commonName] - The common name of the subject, left out when not provided
+ * @param {Array<string|Object>} options.altNames - DNS names, IP addresses or `{ type, value }` identifiers for the subject alternative names
+ *
+ * @returns {string} The PEM-encoded certificate signing request
+ */
+export function createCertificateSigningRequest(options) {
+    const publicKey = toPublicKey(options.privateKey);
+    const algorithm = getSignatureAlgorithm(publicKey);
+
+    const extensions = encodeSequence([encodeExtension(OID_SUBJECT_ALT_NAME, false, encodeGeneralNames(options.altNames))]);
+
+    const certificationRequestInfo = encodeSequence([
+        encodeInteger(Buffer.from([0])),
+        encodeName({ commonName: options.commonName }),
+        publicKey.export({ type: 'spki', format: 'der' }),
+        encodeNode(TAG_CONTEXT_ATTRIBUTES, encodeSequence([encodeOid(OID_EXTENSION_REQUEST), encodeNode(TAG_SET, extensions)]))
+    ]);
+
+    const signature = sign(algorithm.digest, certificationRequestInfo, options.privateKey);
+
+    return derToPem(encodeSequence([certificationRequestInfo, encodeAlgorithm(algorithm), encodeBitString(signature)]), "CERTIFICATE REQUEST");
+}
+
+/**
+ * Decodes the fields of a PKCS #10 certificate signing request that are checked before an order is finalized.
+ *
+ * The signature of the request is verified with its own public key, which proves that the request was created
+ * with the private key of the certificate.
+ *
+ * @param {string|Uint8Array} csr - The PEM-encoded, DER-encoded or base64url-encoded DER certificate signing request
+ *
+ * @returns {Object} The decoded certificate signing request
+ * @property {Buffer} der - The DER encoding of the request
+ * @property {Object} publicKey - The public key of the request
+ * @property {string|null} commonName - The common name of the subject
+ * @property {Object[]} altNames - The requested subject alternative names as `{ type, value }` identifiers with the type `dns` or `ip`
+ * @throws {Error} Throws an error if the request can not be decoded or its signature is not valid
+ */
+export function decodeCertificateSigningRequest(csr) {
+    const der = typeof csr !== 'string' ? Buffer.from(csr) : csr.includes("-----BEGIN") ? pemToDer(csr.replace(/NEW CERTIFICATE REQUEST/g, "CERTIFICATE REQUEST"), "CERTIFICATE REQUEST") : Buffer.from(csr, 'base64url');
+    const [certificationRequestInfo, signatureAlgorithm, signature] = decodeNode(der).children;
+    const publicKey = createPublicKey({ key: certificationRequestInfo.children[2].raw, format: 'der', type: 'spki' });
+    const algorithmOid = decodeOid(signatureAlgorithm.children[0].content);
+    const algorithm = Object.values(SIGNATURE_ALGORITHMS).find((candidate) => candidate.oid === algorithmOid);
+
+    if (algorithm == undefined) {
+        throw new Error(`The signature algorithm ${algorithmOid} is not supported`);
+    }
+
+    if (!verify(algorithm.digest, certificationRequestInfo.raw, publicKey, signature.content.subarray(1))) {
+        throw new Error("The signature of the request is not valid");
+    }
+
+    const attributes = certificationRequestInfo.children.find((child) => child.tag === TAG_CONTEXT_ATTRIBUTES);
+    const altNames = [];
+
+    for (const attribute of attributes ? attributes.children : []) {
+        if (decodeOid(attribute.children[0].content) !== OID_EXTENSION_REQUEST) {
+            continue;
+        }
+
+        for (const extension of attribute.children[1].children[0].children) {
+            if (decodeOid(extension.children[0].content) === OID_SUBJECT_ALT_NAME) {
+                altNames.push(...decodeGeneralNames(extension.children[extension.children.length - 1].content));
+            }
+        }
+    }
+
+    return {
+        der: der,
+        publicKey: publicKey,
+        commonName: decodeCommonName(certificationRequestInfo.children[1]),
+        altNames: altNames
+    };
+}
+
+/**
+ * Decodes the fields of an X.509 certificate that are needed for ACME operations.
+ *
+ * @param {string|Uint8Array} certificate - The PEM-encoded certificate (the first certificate is used) or the DER-encoded certificate
+ *
+ * @returns {Object} The decoded certificate
+ * @property {Buffer} der - The DER encoding of the certificate
+ * @property {Buffer} serialNumber - The content octets of the serial number INTEGER
+ * @property {Buffer|null} authorityKeyIdentifier - The key identifier of the authority key identifier extension
+ * @property {Buffer|null} subjectKeyIdentifier - The subject key identifier
+ * @property {Object[]} altNames - The DNS and IP subject alternative names as `{ type, value }` identifiers
+ * @property {Map<string, Object>} extensions - Every extension `{ critical, value }` keyed by its dotted OID
+ * @throws {Error} Throws an error if the certificate can not be decoded
+ */
+export function decodeCertificate(certificate) {
+    const der = typeof certificate === 'string' ? pemToDer(certificate, "CERTIFICATE") : Buffer.from(certificate);
+    const tbsCertificate = decodeNode(der).children[0];
+    const fields = tbsCertificate.children[0].tag === TAG_CONTEXT_VERSION ? tbsCertificate.children.slice(1) : tbsCertificate.children;
+    const extensionsNode = fields.find((field) => field.tag === TAG_CONTEXT_EXTENSIONS);
+    const extensions = new Map();
+
+    for (const extension of extensionsNode ? extensionsNode.children[0].children : []) {
+        extensions.set(decodeOid(extension.children[0].content), {
+            critical: extension.children.length == 3 && extension.children[1].content[0] != 0,
+            value: extension.children[extension.children.length - 1].content
+        });
+    }
+
+    const authorityKeyIdentifier = extensions.get(OID_AUTHORITY_KEY_IDENTIFIER);
+    const subjectKeyIdentifier = extensions.get(OID_SUBJECT_KEY_IDENTIFIER);
+    const keyIdentifier = authorityKeyIdentifier ? decodeNode(authorityKeyIdentifier.value).children.find((child) => child.tag === TAG_CONTEXT_KEY_IDENTIFIER) : undefined;
+
+    return {
+        der: der,
+        serialNumber: fields[0].content,
+        authorityKeyIdentifier: keyIdentifier ? keyIdentifier.content : null,
+        subjectKeyIdentifier: subjectKeyIdentifier ? decodeNode(subjectKeyIdentifier.value).content : null,
+        altNames: extensions.has(OID_SUBJECT_ALT_NAME) ? decodeGeneralNames(extensions.get(OID_SUBJECT_ALT_NAME).value) : [],
+        extensions: extensions
+    };
+}
+
+/**
+ * Reads the fields of a certificate that are useful after issuance.
+ *
+ * @param {string|Uint8Array} certificate - The PEM-encoded certificate (the first certificate is used) or the DER-encoded certificate
+ *
+ * @returns {Object} The inspected certificate
+ * @property {string} subject - The subject distinguished name, one `key=value` per line
+ * @property {string} issuer - The issuer distinguished name, one `key=value` per line
+ * @property {string|null} commonName - The common name of the subject
+ * @property {Object[]} altNames - The DNS and IP subject alternative names as `{ type, value }` identifiers
+ * @property {Date} notBefore - The start of the validity period
+ * @property {Date} notAfter - The end of the validity period
+ * @property {string} serialNumber - The serial number in hexadecimal format
+ * @property {string|null} authorityKeyIdentifier - The authority key identifier in hexadecimal format
+ * @property {string|null} subjectKeyIdentifier - The subject key identifier in hexadecimal format
+ * @property {boolean} isCertificateAuthority - true if the certificate can sign other certificates
+ * @property {string} fingerprint256 - The SHA-256 fingerprint, colon separated hexadecimal
+ * @property {string} pem - The PEM encoding of the certificate
+ * @throws {Error} Throws an error if the certificate can not be decoded
+ *
+ * @example
+ * const { notAfter, authorityKeyIdentifier, serialNumber } = inspectCertificate(certificate);
+ *
+ * const window = await fetchSuggestedWindow(renewalInfoUrl, authorityKeyIdentifier, serialNumber);
+ */
+export function inspectCertificate(certificate) {
+    const decoded = decodeCertificate(certificate);
+    const x509 = new X509Certificate(decoded.der);
+    const commonName = x509.subject.split('\n').find((field) => field.startsWith("CN="));
+
+    return {
+        subject: x509.subject,
+        issuer: x509.issuer,
+        commonName: commonName ? commonName.substring(3) : null,
+        altNames: decoded.altNames,
+        notBefore: new Date(x509.validFrom),
+        notAfter: new Date(x509.validTo),
+        serialNumber: decoded.serialNumber.toString('hex'),
+        authorityKeyIdentifier: decoded.authorityKeyIdentifier ? decoded.authorityKeyIdentifier.toString('hex') : null,
+        subjectKeyIdentifier: decoded.subjectKeyIdentifier ? decoded.subjectKeyIdentifier.toString('hex') : null,
+        isCertificateAuthority: x509.ca,
+        fingerprint256: x509.fingerprint256,
+        pem: derToPem(decoded.der, "CERTIFICATE")
+    };
+}
+
+/**
+ * Splits a PEM-encoded certificate chain and inspects every certificate, leaf first.
+ *
+ * @param {string} pem - The PEM-encoded certificate chain, as returned by `downloadCertificate`
+ *
+ * @returns {Object[]} The inspected certificates in the order of the chain (see `inspectCertificate`)
+ * @throws {Error} Throws an error if there is no certificate or a certificate can not be decoded
+ */
+export function parseCertificateChain(pem) {
+    const certificates = String(pem).match(PEM_CERTIFICATE);
+
+    if (certificates == undefined) {
+        throw new Error("No PEM-encoded certificate was found");
+    }
+
+    return certificates.map((certificate) => inspectCertificate(certificate));
+}
+
+/**
+ * Checks that every certificate in a chain is issued and signed by the certificate that follows it.
+ *
+ * The last certificate is not checked against a trust store, only the links between the certificates of the chain are.
+ *
+ * @param {string} pem - The PEM-encoded certificate chain, leaf first
+ *
+ * @returns {Object} The result of the check
+ * @property {boolean} valid - true if every certificate is signed by the next one
+ * @property {string[]} errors - A description of every broken link
+ * @throws {Error} Throws an error if there is no certificate or a certificate can not be decoded
+ */
+export function verifyCertificateChain(pem) {
+    const certificates = parseCertificateChain(pem).map((certificate) => new X509Certificate(certificate.pem));
+    const errors = [];
+
+    for (let i = 0; i < certificates.length - 1; i++) {
+        const certificate = certificates[i];
+        const issuer = certificates[i + 1];
+
+        if (!certificate.checkIssued(issuer)) {
+            errors.push(`Certificate ${i} is not issued by certificate ${i + 1}, its issuer is ${certificate.issuer.replace(/\n/g, ', ')}`);
+        }
+        else if (!certificate.verify(issuer.publicKey)) {
+            errors.push(`Certificate ${i} is not signed by the key of certificate ${i + 1}`);
+        }
+    }
+
+    return { valid: errors.length == 0, errors: errors };
+}
+
+/**
+ * Checks that a certificate belongs to a private key.
+ *
+ * @param {string|Uint8Array} certificate - The PEM-encoded certificate (the first certificate is used) or the DER-encoded certificate
+ * @param {Object|string} privateKey - The private key as a KeyObject or PEM
+ *
+ * @returns {boolean} true if the public key of the certificate matches the private key
+ * @throws {Error} Throws an error if the certificate or the private key can not be decoded
+ */
+export function certificateMatchesKey(certificate, privateKey) {
+    const key = privateKey instanceof KeyObject ? privateKey : createPrivateKey(privateKey);
+
+    return new X509Certificate(decodeCertificate(certificate).der).checkPrivateKey(key);
+}
+
+/**
+ * Returns the time left until a certificate expires.
+ *
+ * @param {string|Uint8Array} certificate - The PEM-encoded certificate (the first certificate is used) or the DER-encoded certificate
+ * @param {Date} [now=new Date()] - The time to measure from
+ *
+ * @returns {number} Milliseconds until the end of the validity period, negative when the certificate has expired
+ * @throws {Error} Throws an error if the certificate can not be decoded
+ */
+export function getTimeUntilExpiry(certificate, now = new Date()) {
+    return inspectCertificate(certificate).notAfter.getTime() - now.getTime();
+}
+
+/**
+ * Converts the first PEM block with a label to DER.
+ *
+ * @param {string} pem - The PEM-encoded data
+ * @param {string} label - The PEM label, e.g. CERTIFICATE
+ *
+ * @returns {Buffer} The DER-encoded data
+ * @throws {Error} Throws an error if there is no PEM block with the label
+ */
+export function pemToDer(pem, label) {
+    const match = pem.match(new RegExp(`-----BEGIN ${label}-----([^-]+)-----END ${label}-----`));
+
+    if (match == undefined) {
+        throw new Error(`No PEM-encoded ${label.toLowerCase()} was found`);
+    }
+
+    return Buffer.from(match[1].replace(/\s/g, ''), 'base64');
+}
+
+/**
+ * Encodes a DER node from its tag and content.
+ *
+ * @param {number} tag - The tag byte
+ * @param {Uint8Array} content - The encoded content
+ *
+ * @returns {Buffer} The DER-encoded node
+ */
+export function encodeNode(tag, content) {
+    const length = content.length;
+
+    if (length < 0x80) {
+        return Buffer.concat([Buffer.from([tag, length]), content]);
+    }
+
+    const lengthBytes = [];
+
+    for (let remaining = length; remaining > 0; remaining = Math.floor(remaining / 256)) {
+        lengthBytes.unshift(remaining & 0xff);
+    }
+
+    return Buffer.concat([Buffer.from([tag, 0x80 | lengthBytes.length, ...lengthBytes]), content]);
+}
+
+/**
+ * Decodes a DER node and its children.
+ *
+ * @param {Uint8Array} der - The DER-encoded data
+ * @param {number} [offset=0] - The position of the node in the data
+ *
+ * @returns {Object} The decoded node
+ * @property {number} tag - The tag byte
+ * @property {Buffer} content - The content of the node
+ * @property {Buffer} raw - The complete encoding of the node including the tag and length
+ * @property {Object[]} children - The decoded children of a constructed node, or an empty array
+ * @throws {Error} Throws an error if the data is truncated or uses an unsupported length encoding
+ */
+export function decodeNode(der, offset = 0) {
+    const buffer = Buffer.from(der.buffer, der.byteOffset, der.byteLength);
+
+    if (offset + 2 > buffer.length) {
+        throw new Error("Truncated DER data");
+    }
+
+    const tag = buffer[offset];
+
+    let length = buffer[offset + 1];
+    let start = offset + 2;
+
+    if (length & 0x80) {
+        const lengthBytes = length & 0x7f;
+
+        if (lengthBytes == 0 || lengthBytes > 4 || start + lengthBytes > buffer.length) {
+            throw new Error("Unsupported DER length encoding");
+        }
+
+        length = 0;
+
+        for (let i = 0; i < lengthBytes; i++) {
+            length = length * 256 + buffer[start + i];
+        }
+
+        start += lengthBytes;
+    }
+
+    if (start + length > buffer.length) {
+        throw new Error("Truncated DER data");
+    }
+
+    const content = buffer.subarray(start, start + length);
+    const children = [];
+
+    if (tag & 0x20) {
+        for (let position = 0; position < content.length;) {
+            const child = decodeNode(content, position);
+
+            children.push(child);
+            position += child.raw.length;
+        }
+    }
+
+    return { tag: tag, content: content, raw: buffer.subarray(offset, start + length), children: children };
+}
+
+/**
+ * Encodes an OCTET STRING node.
+ *
+ * @param {Uint8Array} content - The octets to encode
+ *
+ * @returns {Buffer} The DER-encoded OCTET STRING
+ */
+export function encodeOctetString(content) {
+    return encodeNode(TAG_OCTET_STRING, content);
+}
+
+/**
+ * Converts DER data to PEM.
+ *
+ * @param {Uint8Array} der - The DER-encoded data
+ * @param {string} label - The PEM label, e.g. CERTIFICATE
+ *
+ * @returns {string} The PEM-encoded data
+ */
+export function derToPem(der, label) {
+    return `-----BEGIN ${label}-----\n${Buffer.from(der).toString('base64').match(/.{1,64}/g).join('\n')}\n-----END ${label}-----\n`;
+}
+
+function toPublicKey(key) {
+    return key instanceof KeyObject && key.type === 'public' ? key : createPublicKey(key);
+}
+
+function getSignatureAlgorithm(publicKey) {
+    const type = publicKey.asymmetricKeyType === 'ec' ? publicKey.asymmetricKeyDetails.namedCurve : publicKey.asymmetricKeyType;
+    const algorithm = SIGNATURE_ALGORITHMS[type];
+
+    if (algorithm == undefined) {
+        throw new Error(`Unsupported signing key type: ${type}`);
+    }
+
+    return algorithm;
+}
+
+function getKeyIdentifier(publicKey) {
+    const subjectPublicKey = decodeNode(publicKey.export({ type: 'spki', format: 'der' })).children[1];
+
+    return createHash("sha1").update(subjectPublicKey.content.subarray(1)).digest();
+}
+
+function randomSerialNumber() {
+    const serial = randomBytes(16);
+    serial[0] &= 0x7f;
+
+    return serial;
+}
+
+function encodeSequence(nodes) {
+    return encodeNode(TAG_SEQUENCE, Buffer.concat(nodes));
+}
+
+function encodeInteger(bytes) {
+    let start = 0;
+
+    while (start < bytes.length - 1 && bytes[start] == 0 && (bytes[start + 1] & 0x80) == 0) {
+        start++;
+    }
+
+    const trimmed = bytes.subarray(start);
+
+    return encodeNode(TAG_INTEGER, trimmed[0] & 0x80 ? Buffer.concat([Buffer.from([0]), trimmed]) : trimmed);
+}
+
+function encodeBitString(bytes) {
+    return encodeNode(TAG_BIT_STRING, Buffer.concat([Buffer.from([0]), bytes]));
+}
+
+function encodeBitFlags(flags) {
+    let unused = 0;
+
+    while (unused < 7 && (flags & (1 << unused)) == 0) {
+        unused++;
+    }
+
+    return encodeNode(TAG_BIT_STRING, Buffer.from([unused, flags]));
+}
+
+function encodeOid(oid) {
+    const parts = oid.split('.').map((part) => parseInt(part, 10));
+    const bytes = [parts[0] * 40 + parts[1]];
+
+    for (const part of parts.slice(2)) {
+        const encoded = [part & 0x7f];
+
+        for (let remaining = Math.floor(part / 128); remaining > 0; remaining = Math.floor(remaining / 128)) {
+            encoded.unshift(0x80 | (remaining & 0x7f));
+        }
+
+        bytes.push(...encoded);
+    }
+
+    return encodeNode(TAG_OID, Buffer.from(bytes));
+}
+
+function decodeOid(bytes) {
+    const parts = [Math.floor(bytes[0] / 40), bytes[0] % 40];
+
+    for (let i = 1, value = 0; i < bytes.length; i++) {
+        value = value * 128 + (bytes[i] & 0x7f);
+
+        if ((bytes[i] & 0x80) == 0) {
+            parts.push(value);
+            value = 0;
+        }
+    }
+
+    return parts.join('.');
+}
+
+function encodeAlgorithm(algorithm) {
+    return encodeSequence(algorithm.parameters ? [encodeOid(algorithm.oid), encodeNode(TAG_NULL, Buffer.alloc(0))] : [encodeOid(algorithm.oid)]);
+}
+
+function encodeName(name) {
+    const attributes = [];
+
+    if (name.organization) {
+        attributes.push([OID_ORGANIZATION, name.organization]);
+    }
+
+    if (name.commonName) {
+        attributes.push([OID_COMMON_NAME, name.commonName]);
+    }
+
+    return encodeSequence(attributes.map(([oid, value]) => encodeNode(TAG_SET, encodeSequence([encodeOid(oid), encodeNode(TAG_UTF8_STRING, Buffer.from(value, 'utf8'))]))));
+}
+
+function decodeCommonName(name) {
+    for (const relativeName of name.children) {
+        for (const attribute of relativeName.children) {
+            if (decodeOid(attribute.children[0].content) === OID_COMMON_NAME) {
+                return attribute.children[1].content.toString('utf8');
+            }
+        }
+    }
+
+    return null;
+}
+
+function encodeTime(date) {
+    const iso = date.toISOString().replace(/[-:T]/g, '').substring(0, 14);
+
+    return date.getUTCFullYear() < 2050
+        ? encodeNode(TAG_UTC_TIME, Buffer.from(`${iso.substring(2)}Z`))
+        : encodeNode(TAG_GENERALIZED_TIME, Buffer.from(`${iso}Z`));
+}
+
+function encodeExtension(oid, critical, value) {
+    const nodes = [encodeOid(oid)];
+
+    if (critical) {
+        nodes.push(encodeNode(TAG_BOOLEAN, Buffer.from([0xff])));
+    }
+
+    nodes.push(encodeNode(TAG_OCTET_STRING, value));
+
+    return encodeSequence(nodes);
+}
+
+function encodeGeneralNames(altNames) {
+    return encodeSequence(altNames.map((altName) => {
+        const value = typeof altName === 'string' ? altName : altName.value;
+
+        return isIP(value)
+            ? encodeNode(TAG_CONTEXT_IP_ADDRESS, encodeIpAddress(value))
+            : encodeNode(TAG_CONTEXT_DNS_NAME, Buffer.from(value, 'ascii'));
+    }));
+}
+
+function decodeGeneralNames(value) {
+    const altNames = [];
+
+    for (const generalName of decodeNode(value).children) {
+        if (generalName.tag === TAG_CONTEXT_DNS_NAME) {
+            altNames.push({ type: "dns", value: generalName.content.toString('ascii') });
+        }
+        else if (generalName.tag === TAG_CONTEXT_IP_ADDRESS) {
+            altNames.push({ type: "ip", value: decodeIpAddress(generalName.content) });
+        }
+    }
+
+    return altNames;
+}
+
+function decodeIpAddress(bytes) {
+    if (bytes.length == 4) {
+        return [...bytes].join('.');
+    }
+
+    const groups = [];
+
+    for (let i = 0; i < bytes.length; i += 2) {
+        groups.push(bytes.readUInt16BE(i).toString(16));
+    }
+
+    return new URL(`http://[${groups.join(':')}]`).hostname.slice(1, -1);
+}
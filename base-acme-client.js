@@ -6,14 +6,79 @@
  * @license Apache-2.0
  */
 
-import { createPrivateKey, createPublicKey, createHash, sign } from 'crypto';
+import { createPrivateKey, createPublicKey, createHash, createHmac, generateKeyPairSync, sign, KeyObject, X509Certificate } from 'crypto';
+import { EventEmitter } from 'events';
+import { isIP } from 'net';
+import { request as httpRequest } from 'http';
+import { request as httpsRequest } from 'https';
+import { rootCertificates } from 'tls';
 import { generateCSRWithExistingKeys } from 'simple-csr-generator';
+import { decodeCertificate, pemToDer, createCertificateSigningRequest, decodeCertificateSigningRequest } from './acme-x509.js';
+import { normalizeIdentifiers } from './acme-identifiers.js';
+import { parseDirectory, checkTermsOfService } from './acme-directory.js';
+import { AcmeProblemError, AcmeClientError } from './acme-errors.js';
+
+export * from './acme-errors.js';
+export * from './acme-issuer.js';
+export * from './acme-challenges.js';
+export * from './acme-mock-server.js';
+export * from './acme-storage.js';
+export * from './acme-identifiers.js';
+export * from './acme-certificate-manager.js';
+export * from './acme-directory.js';
+export * from './acme-issuance-queue.js';
+export { createCertificate, createCertificateSigningRequest, decodeCertificateSigningRequest, inspectCertificate, parseCertificateChain, verifyCertificateChain, certificateMatchesKey, getTimeUntilExpiry } from './acme-x509.js';
 
 const CONTENT_TYPE = "Content-Type";
 const CONTENT_TYPE_JOSE = 'application/jose+json';
+const CONTENT_TYPE_PEM_CHAIN = 'application/pem-certificate-chain';
+const ACCEPT = "Accept";
+const USER_AGENT = "User-Agent";
+
+const PEM_BEGIN = "-----BEGIN";
 
 const DIGEST = "sha256";
-const ALG_ECDSA = 'ES256';
+const ALG_RSA = 'RS256';
+const ALG_EDDSA = 'EdDSA';
+const ALG_HMAC = 'HS256';
+
+const JWS_ALGORITHMS = {
+    RS256: { digest: "sha256" },
+    ES256: { digest: "sha256", dsaEncoding: 'ieee-p1363' },
+    ES384: { digest: "sha384", dsaEncoding: 'ieee-p1363' },
+    ES512: { digest: "sha512", dsaEncoding: 'ieee-p1363' },
+    EdDSA: { digest: null },
+    HS256: { digest: "sha256", hmac: true },
+    HS384: { digest: "sha384", hmac: true },
+    HS512: { digest: "sha512", hmac: true }
+};
+
+const CURVE_ALGORITHMS = {
+    'prime256v1': 'ES256',
+    'secp384r1': 'ES384',
+    'secp521r1': 'ES512'
+};
+
+const KEY_TYPES = {
+    'P-256': ['ec', { namedCurve: 'prime256v1' }],
+    'P-384': ['ec', { namedCurve: 'secp384r1' }],
+    'P-521': ['ec', { namedCurve: 'secp521r1' }],
+    'RSA-2048': ['rsa', { modulusLength: 2048 }],
+    'RSA-3072': ['rsa', { modulusLength: 3072 }],
+    'RSA-4096': ['rsa', { modulusLength: 4096 }],
+    'Ed25519': ['ed25519', {}],
+    'Ed448': ['ed448', {}]
+};
+
+const CERTIFICATE_KEY_TYPES = ['P-256', 'P-384', 'RSA-2048', 'RSA-3072', 'RSA-4096']; // The key types public CAs issue for
+const DEFAULT_KEY_TYPE = 'P-256';
+const KEY_CIPHER = 'aes-256-cbc';
+
+const THUMBPRINT_MEMBERS = { // RFC 7638 Section 3.2, in lexicographic order
+    EC: ['crv', 'kty', 'x', 'y'],
+    RSA: ['e', 'kty', 'n'],
+    OKP: ['crv', 'kty', 'x']
+};
 
 const METHOD_GET = "GET";
 const METHOD_POST = "POST";
@@ -24,6 +89,122 @@ const METHOD_POST_AS_GET_CHALLENGE = {};
 const SAN = "identifiers";
 const NEXT_URL = "location";
 const REPLAY_NONCE = 'replay-nonce';
+const LINK = "link";
+const RETRY_AFTER = "retry-after";
+
+const REL_NEXT = "next";
+const REL_ALTERNATE = "alternate";
+const MAILTO = "mailto:";
+const STATUS_DEACTIVATED = "deactivated";
+const PROBLEM_BLANK = "about:blank";
+
+const ARI_RETRY_AFTER = 6 * 60 * 60 * 1000;
+const ARI_ERROR_RETRY_AFTER = 60 * 60 * 1000;
+const MAX_TIMEOUT = 2147483647;
+
+const NONCE_POOL_SIZE = 32;
+const BAD_NONCE_RETRIES = 5;
+const PROBLEM_BAD_NONCE = "urn:ietf:params:acme:error:badNonce";
+
+const PROBLEM_RATE_LIMITED = "urn:ietf:params:acme:error:rateLimited";
+const PROBLEM_SERVER_INTERNAL = "urn:ietf:params:acme:error:serverInternal";
+
+const DEFAULT_RETRY_POLICY = {
+    retryableTypes: [PROBLEM_RATE_LIMITED, PROBLEM_SERVER_INTERNAL],
+    retryableStatuses: [429, 500, 502, 503, 504],
+    maxRetryAfter: 60 * 1000
+};
+
+const REDACTED = "[redacted]";
+const REDACTED_FIELDS = ["nonce", "kid", "jwk", "protected", "payload", "signature", "token", "keyAuthorization", "hmacKey", "privateKey"];
+
+const noncePools = new Map();
+
+let clientConfig = { retryPolicy: { ...DEFAULT_RETRY_POLICY }, redact: true };
+
+/**
+ * Emits the lifecycle events of the client, the fields of every event are redacted unless `redact` is turned off with `configureClient`.
+ *
+ * - `request` - `{ method, url }` before a request is sent
+ * - `response` - `{ method, url, status, duration }` when a response is received
+ * - `retry` - `{ url, attempt, delay, status, type }` when a failed request is retried, `status` and `type` are missing for exceptions
+ * - `nonce` - `{ url, nonce }` when a new nonce was fetched from the server
+ * - `order` - `{ orderUrl, status, previousStatus }` when `issueCertificate` sees the status of an order change
+ * - `challenge` - `{ identifier, type, status, authorizationUrl }` when a challenge solved by `issueCertificate` is no longer pending
+ * - `certificate` - `{ hostnames, notAfter }` when a certificate manager installs an issued, renewed or stored certificate
+ *
+ * @type {EventEmitter}
+ *
+ * @example
+ * clientEvents.on("retry", (event) => metrics.increment("acme.retry", { url: event.url }));
+ */
+export const clientEvents = new EventEmitter();
+
+const REVOCATION_REASONS = [0, 1, 2, 3, 4, 5, 6, 8, 9, 10]; // RFC 5280 Section 5.3.1, 7 is not used
+
+/**
+ * Configures the client for every following request, options that are not provided keep their current value.
+ * 
+ * @param {Object} [options] - The client options
+ * @param {Function} [options.fetch] - A fetch compatible function used for every request instead of the global `fetch`
+ * @param {Object} [options.dispatcher] - An undici dispatcher (e.g. a `ProxyAgent`) passed with every request
+ * @param {number} [options.timeout] - Milliseconds before a single request is aborted and counted as a failed attempt
+ * @param {AbortSignal} [options.signal] - Cancels in-flight requests, retries and the delays between them
+ * @param {string} [options.userAgent] - The User-Agent header sent with every request
+ * @param {string|string[]} [options.ca] - Additional PEM-encoded certificate authorities to trust, for example the root of a local Pebble instance
+ * @param {Object} [options.logger] - Receives the log output of the client, nothing is logged unless a logger is configured
+ * @param {boolean} [options.redact=true] - false to include nonces, key identifiers, tokens and signatures in log fields and events
+ * @param {Object} [options.retryPolicy] - Which failed requests are retried
+ * @param {string[]} [options.retryPolicy.retryableTypes] - Problem types that are retried, by default rateLimited and serverInternal
+ * @param {number[]} [options.retryPolicy.retryableStatuses] - HTTP status codes that are retried, by default 429, 500, 502, 503 and 504
+ * @param {number} [options.retryPolicy.maxRetryAfter=60000] - The longest `Retry-After` in milliseconds that is waited for, longer waits return the problem instead
+ * 
+ * @returns {Object} The resulting client configuration
+ * @throws {Error} Throws an error if `ca` would be combined with a `dispatcher` or a custom `fetch`, which would not trust it
+ * 
+ * @description
+ * Problems that can never succeed, such as malformed, unauthorized or rejectedIdentifier, are returned right away.
+ * Retries wait for the `Retry-After` of the response when there is one, and back off progressively otherwise.
+ * A badNonce problem is always retried right away with a fresh nonce.
+ *
+ * Requests use the node `https` module when `ca` is provided, because the global `fetch` only trusts the bundled roots.
+ * Pass `undefined` for an option to remove it again.
+ *
+ * The logger is an object with `debug`, `info`, `warn` and `error` methods that are called with a message and an object of structured fields,
+ * such as `console` or a `pino` logger.
+ *
+ * @example
+ * configureClient({ ca: readFileSync("pebble.minica.pem", "utf8"), timeout: 10000, userAgent: "my-client/1.0" });
+ */
+export function configureClient(options = {}) {
+    const config = { ...clientConfig, ...options, retryPolicy: { ...clientConfig.retryPolicy, ...options.retryPolicy } };
+
+    if (config.ca && (config.dispatcher || config.fetch)) {
+        throw new Error("ca can not be combined with a dispatcher or a custom fetch, trust the certificate authorities in the connect options of the dispatcher or in the fetch instead");
+    }
+
+    clientConfig = config;
+
+    return clientConfig;
+}
+
+/**
+ * Emits a lifecycle event on `clientEvents` and logs it at debug level, after redacting the fields.
+ * 
+ * @param {string} name - The event name (see `clientEvents`)
+ * @param {Object} fields - The event data
+ */
+export function emitClientEvent(name, fields) {
+    const logger = clientConfig.logger;
+
+    if (logger && typeof logger.debug === 'function') {
+        logger.debug(`ACME ${name}`, redact(fields));
+    }
+
+    if (clientEvents.listenerCount(name) > 0) {
+        clientEvents.emit(name, redact(fields));
+    }
+}
 
 /**
  * Fetches the directory information from an ACME server.
@@ -32,7 +213,7 @@ const REPLAY_NONCE = 'replay-nonce';
  * @param {string} mainDirectoryUrl - The URL of the ACME server's directory endpoint
  * 
  * @returns {Promise<Object>} An object containing the directory information or an error
- * @property {Object|null} get - The parsed directory JSON or null
+ * @property {Object|null} get - The typed directory (see `parseDirectory`) or null
  * 
  * @property {null|Object} error - The error response if the request was unsuccessful
  */
@@ -41,7 +222,7 @@ export async function newDirectory(mainDirectoryUrl) {
         const response = await fetchAndRetryUntilOk(mainDirectoryUrl, { method: METHOD_GET });
 
         if (response) {
-            return { [response.ok ? 'get' : 'error']: await response.json() };
+            return response.ok ? { get: parseDirectory(await response.json()) } : { error: new AcmeProblemError(await readBody(response), response.status, getRetryAfter(response.headers)) };
         }
 
         return notCompletedError("newDirectory");
@@ -66,7 +247,13 @@ export async function newNonce(newNonceUrl) {
         const response = await fetchAndRetryUntilOk(newNonceUrl, { method: METHOD_HEAD });
 
         if (response) {
-            return response.ok ? { nonce: response.headers.get(REPLAY_NONCE) } : { error: await response.json() };
+            if (response.ok) {
+                emitClientEvent("nonce", { url: newNonceUrl, nonce: response.headers.get(REPLAY_NONCE) });
+
+                return { nonce: response.headers.get(REPLAY_NONCE) };
+            }
+
+            return { error: new AcmeProblemError(await readBody(response), response.status, getRetryAfter(response.headers)) };
         }
 
         return notCompletedError("newNonce");
@@ -79,16 +266,61 @@ export async function newNonce(newNonceUrl) {
  * Creates a JSON Web Key (JWK) from a public key.
  * @async
  * 
- * @param {Object} publicKey - The public key to convert to JWK format
+ * @param {Object} publicKey - The public key to convert to JWK format (RSA, EC P-256/P-384/P-521, Ed25519 or Ed448)
  * 
  * @returns {Promise<Object>} An object containing the JWK and its thumbprint
  * @property {Object} key - The JSON Web Key representation
- * @property {string} print - Base64URL encoded thumbprint of the key
+ * @property {string} print - Base64URL encoded RFC 7638 thumbprint of the key
  */
 export async function createJsonWebKey(publicKey) {
     const jsonWebKey = publicKey.export({ format: 'jwk' });
+    const members = THUMBPRINT_MEMBERS[jsonWebKey.kty];
+
+    if (members == undefined) {
+        throw new Error(`Unsupported JSON Web Key type: ${jsonWebKey.kty}`);
+    }
+
+    return { key: jsonWebKey, print: base64urlEncode(createHash(DIGEST).update(new TextEncoder().encode(JSON.stringify(Object.fromEntries(members.map((member) => [member, jsonWebKey[member]]))))).digest()) };
+}
 
-    return { key: jsonWebKey, print: base64urlEncode(createHash(DIGEST).update(new TextEncoder().encode(JSON.stringify({ crv: jsonWebKey.crv, kty: jsonWebKey.kty, x: jsonWebKey.x, y: jsonWebKey.y }))).digest()) };
+/**
+ * Creates the key authorization for a challenge token (RFC 8555 Section 8.1).
+ * 
+ * @param {string} token - The token of the challenge
+ * @param {string|Object} thumbprint - The account key thumbprint, or the result of `createJsonWebKey`
+ * 
+ * @returns {string} The key authorization (`token.thumbprint`)
+ */
+export function createKeyAuthorization(token, thumbprint) {
+    return `${token}.${typeof thumbprint === 'string' ? thumbprint : thumbprint.print}`;
+}
+
+/**
+ * Determines the JSON Web Signature algorithm to use for a key.
+ * 
+ * @param {Object|string} key - The key object or PEM-encoded private key
+ * 
+ * @returns {string} The JWS algorithm (RS256, ES256, ES384, ES512 or EdDSA)
+ * @throws {Error} Throws an error if the key type or curve is not supported
+ */
+export function getJwsAlgorithm(key) {
+    const keyObject = key instanceof KeyObject ? key : createPrivateKey(key);
+
+    switch (keyObject.asymmetricKeyType) {
+        case 'rsa': return ALG_RSA;
+        case 'ed25519':
+        case 'ed448': return ALG_EDDSA;
+        case 'ec': {
+            const algorithm = CURVE_ALGORITHMS[keyObject.asymmetricKeyDetails.namedCurve];
+
+            if (algorithm) {
+                return algorithm;
+            }
+
+            throw new Error(`Unsupported elliptic curve: ${keyObject.asymmetricKeyDetails.namedCurve}`);
+        }
+        default: throw new Error(`Unsupported key type: ${keyObject.asymmetricKeyType}`);
+    }
 }
 
 /**
@@ -96,24 +328,54 @@ export async function createJsonWebKey(publicKey) {
  * @async
  * 
  * @param {string} nonce - The replay nonce from the server
- * @param {string} newAccountUrl - The URL for creating a new account
  * @param {Object} privateKey - The private key for signing the request
  * @param {Object} jsonWebKey - The JSON Web Key representing the account's public key
  * @param {Object} acmeDirectory - The ACME directory containing URLs for ACME operations
+ * @param {Object} [options] - Optional account creation settings
+ * @param {Object} [options.externalAccount] - External Account Binding credentials provided by the CA
+ * @param {string} options.externalAccount.kid - The EAB key identifier
+ * @param {string|Uint8Array} options.externalAccount.hmacKey - The EAB HMAC key (base64url encoded string or raw bytes)
+ * @param {string} [options.externalAccount.alg="HS256"] - The MAC algorithm (HS256, HS384 or HS512)
+ * @param {string|string[]} [options.contact] - Email addresses or mailto URLs to contact the account holder
+ * @param {string} [options.acceptTermsOfService] - The terms of service URL the account holder reviewed and accepted, required when the directory has `termsOfService`
  * 
  * @returns {Promise<Object>} An object containing the account creation result
  * @property {Object|null} get - The created account details
  * @property {string|null} location - The location URL of the created account
  * @property {string|null} nonce - A new replay nonce for subsequent requests
  * 
- * @property {null|Object} error - Error details if account creation fails
+ * @property {null|Object} error - Error details if account creation fails, a `bac:invalid:createAccount` error when the current terms of service were not accepted
  */
-export async function createAccount(nonce, privateKey, jsonWebKey, acmeDirectory) {
+export async function createAccount(nonce, privateKey, jsonWebKey, acmeDirectory, options = {}) {
     try {
-        const payload = { termsOfServiceAgreed: true };
+        const payload = {};
+        const terms = checkTermsOfService(acmeDirectory, options.acceptTermsOfService);
+
+        if (!terms.accepted) {
+            return invalidRequestError("createAccount", terms.changed
+                ? `The terms of service changed to ${terms.termsOfService}, review them and pass the new URL as options.acceptTermsOfService`
+                : `The ACME server requires agreeing to its terms of service, review ${terms.termsOfService} and pass the URL as options.acceptTermsOfService`);
+        }
+
+        if (terms.termsOfService) {
+            payload.termsOfServiceAgreed = true;
+        }
+
+        if (options.contact) {
+            payload.contact = formatContact(options.contact);
+        }
+
+        if (options.externalAccount) {
+            const { kid, hmacKey, alg } = options.externalAccount;
+
+            payload.externalAccountBinding = await createExternalAccountBinding(kid, hmacKey, jsonWebKey, acmeDirectory.newAccount, alg);
+        }
+        else if (acmeDirectory.meta && acmeDirectory.meta.externalAccountRequired) {
+            return invalidRequestError("createAccount", "The ACME server requires External Account Binding, provide options.externalAccount with the kid and hmacKey from your CA");
+        }
 
         const protectedHeader = {
-            alg: ALG_ECDSA,
+            alg: getJwsAlgorithm(privateKey),
             jwk: jsonWebKey,
             nonce: nonce,
             url: acmeDirectory.newAccount,
@@ -131,6 +393,354 @@ export async function createAccount(nonce, privateKey, jsonWebKey, acmeDirectory
     }
 }
 
+/**
+ * Creates the External Account Binding JWS for a new account request (RFC 8555 Section 7.3.4).
+ * @async
+ * 
+ * @param {string} keyIdentifier - The EAB key identifier provided by the CA
+ * @param {string|Uint8Array} hmacKey - The EAB HMAC key (base64url encoded string or raw bytes)
+ * @param {Object} jsonWebKey - The JSON Web Key of the account's public key
+ * @param {string} newAccountUrl - The newAccount URL from the ACME directory
+ * @param {string} [alg="HS256"] - The MAC algorithm (HS256, HS384 or HS512)
+ * 
+ * @returns {Promise<Object>} The flattened JWS to use as the `externalAccountBinding` of the account request
+ * @throws {Error} Throws an error if the key identifier or HMAC key is missing or the algorithm is not supported
+ */
+export async function createExternalAccountBinding(keyIdentifier, hmacKey, jsonWebKey, newAccountUrl, alg = ALG_HMAC) {
+    if (!keyIdentifier || !hmacKey) {
+        throw new Error("External Account Binding requires a key identifier and an HMAC key");
+    }
+
+    if (JWS_ALGORITHMS[alg] == undefined || !JWS_ALGORITHMS[alg].hmac) {
+        throw new Error(`Unsupported External Account Binding algorithm: ${alg}`);
+    }
+
+    const protectedHeader = {
+        alg: alg,
+        kid: keyIdentifier,
+        url: newAccountUrl,
+    };
+
+    return JSON.parse(await signPayloadJson(jsonWebKey, protectedHeader, typeof hmacKey === 'string' ? Buffer.from(hmacKey, 'base64url') : hmacKey));
+}
+
+/**
+ * Finds an existing account on the ACME server using its key, without creating a new account.
+ * @async
+ * 
+ * @param {string} nonce - The replay nonce from the server
+ * @param {Object} privateKey - The private key of the account
+ * @param {Object} jsonWebKey - The JSON Web Key representing the account's public key
+ * @param {Object} acmeDirectory - The ACME directory containing URLs for ACME operations
+ * 
+ * @returns {Promise<Object>} An object containing the account lookup result
+ * @property {Object|null} get - The existing account details
+ * @property {string|null} location - The location URL of the account, which is the Key Identifier (kid)
+ * @property {string|null} nonce - A new replay nonce for subsequent requests
+ * 
+ * @property {null|Object} error - Error details if no account exists for the key (accountDoesNotExist) or the lookup fails
+ */
+export async function findAccount(nonce, privateKey, jsonWebKey, acmeDirectory) {
+    try {
+        const payload = { onlyReturnExisting: true };
+
+        const protectedHeader = {
+            alg: getJwsAlgorithm(privateKey),
+            jwk: jsonWebKey,
+            nonce: nonce,
+            url: acmeDirectory.newAccount,
+        };
+
+        const response = await fetchAndRetryProtectedUntilOk(payload, protectedHeader, privateKey, acmeDirectory, 3, true);
+
+        if (response) {
+            return await returnAnswer(response, acmeDirectory);
+        }
+
+        return notCompletedError("findAccount");
+    } catch (exception) {
+        return notCompletedError("findAccount", exception);
+    }
+}
+
+/**
+ * Retrieves the current state of an account from the ACME server.
+ * @async
+ * 
+ * @param {string} kid - Key Identifier for the account
+ * @param {string} nonce - The replay nonce from the server
+ * @param {Object} privateKey - The private key of the account
+ * @param {Object} acmeDirectory - The ACME directory containing URLs for ACME operations
+ * 
+ * @returns {Promise<Object>} An object containing the account details
+ * @property {Object|null} get - The account details
+ * @property {string|null} location - The location URL of the account
+ * @property {string|null} nonce - A new replay nonce for subsequent requests
+ * 
+ * @property {null|Object} error - Error details if retrieval fails
+ */
+export async function getAccount(kid, nonce, privateKey, acmeDirectory) {
+    try {
+        const payload = {};
+
+        const protectedHeader = {
+            alg: getJwsAlgorithm(privateKey),
+            kid: kid,
+            nonce: nonce,
+            url: kid,
+        };
+
+        const response = await fetchAndRetryProtectedUntilOk(payload, protectedHeader, privateKey, acmeDirectory, 3, true);
+
+        if (response) {
+            return await returnAnswer(response, acmeDirectory);
+        }
+
+        return notCompletedError("getAccount");
+    } catch (exception) {
+        return notCompletedError("getAccount", exception);
+    }
+}
+
+/**
+ * Sets or replaces the contact addresses of an account.
+ * @async
+ * 
+ * @param {string} kid - Key Identifier for the account
+ * @param {string} nonce - The replay nonce from the server
+ * @param {Object} privateKey - The private key of the account
+ * @param {string|string[]} contact - Email addresses or mailto URLs, an empty array removes all contacts
+ * @param {Object} acmeDirectory - The ACME directory containing URLs for ACME operations
+ * 
+ * @returns {Promise<Object>} An object containing the updated account
+ * @property {Object|null} get - The updated account details
+ * @property {string|null} location - The location URL of the account
+ * @property {string|null} nonce - A new replay nonce for subsequent requests
+ * 
+ * @property {null|Object} error - Error details if the update fails
+ */
+export async function updateAccount(kid, nonce, privateKey, contact, acmeDirectory) {
+    try {
+        const payload = { contact: formatContact(contact) };
+
+        const protectedHeader = {
+            alg: getJwsAlgorithm(privateKey),
+            kid: kid,
+            nonce: nonce,
+            url: kid,
+        };
+
+        const response = await fetchAndRetryProtectedUntilOk(payload, protectedHeader, privateKey, acmeDirectory);
+
+        if (response) {
+            return await returnAnswer(response, acmeDirectory);
+        }
+
+        return notCompletedError("updateAccount");
+    } catch (exception) {
+        return notCompletedError("updateAccount", exception);
+    }
+}
+
+/**
+ * Agrees to the current terms of service of the server for an existing account, after they changed.
+ * @async
+ * 
+ * @param {string} kid - Key Identifier for the account
+ * @param {string} nonce - The replay nonce from the server
+ * @param {Object} privateKey - The private key of the account
+ * @param {string} acceptTermsOfService - The terms of service URL the account holder reviewed and accepted
+ * @param {Object} acmeDirectory - The ACME directory containing URLs for ACME operations
+ * 
+ * @returns {Promise<Object>} An object containing the updated account
+ * @property {Object|null} get - The updated account details
+ * @property {string|null} location - The location URL of the account
+ * @property {string|null} nonce - A new replay nonce for subsequent requests
+ * 
+ * @property {null|Object} error - Error details if the update fails, a `bac:invalid:agreeToTermsOfService` error when the URL is not the current terms of service
+ */
+export async function agreeToTermsOfService(kid, nonce, privateKey, acceptTermsOfService, acmeDirectory) {
+    try {
+        const terms = checkTermsOfService(acmeDirectory, acceptTermsOfService);
+
+        if (!terms.accepted || terms.termsOfService == undefined) {
+            return invalidRequestError("agreeToTermsOfService", terms.termsOfService ? `The current terms of service are ${terms.termsOfService}` : "The ACME server has no terms of service");
+        }
+
+        const protectedHeader = {
+            alg: getJwsAlgorithm(privateKey),
+            kid: kid,
+            nonce: nonce,
+            url: kid,
+        };
+
+        const response = await fetchAndRetryProtectedUntilOk({ termsOfServiceAgreed: true }, protectedHeader, privateKey, acmeDirectory);
+
+        if (response) {
+            return await returnAnswer(response, acmeDirectory);
+        }
+
+        return notCompletedError("agreeToTermsOfService");
+    } catch (exception) {
+        return notCompletedError("agreeToTermsOfService", exception);
+    }
+}
+
+/**
+ * Deactivates an account, the account can not be used again after it is deactivated.
+ * @async
+ * 
+ * @param {string} kid - Key Identifier for the account
+ * @param {string} nonce - The replay nonce from the server
+ * @param {Object} privateKey - The private key of the account
+ * @param {Object} acmeDirectory - The ACME directory containing URLs for ACME operations
+ * 
+ * @returns {Promise<Object>} An object containing the deactivated account
+ * @property {Object|null} get - The account details with the status `deactivated`
+ * @property {string|null} location - The location URL of the account
+ * @property {string|null} nonce - A new replay nonce for subsequent requests
+ * 
+ * @property {null|Object} error - Error details if deactivation fails
+ */
+export async function deactivateAccount(kid, nonce, privateKey, acmeDirectory) {
+    try {
+        const payload = { status: STATUS_DEACTIVATED };
+
+        const protectedHeader = {
+            alg: getJwsAlgorithm(privateKey),
+            kid: kid,
+            nonce: nonce,
+            url: kid,
+        };
+
+        const response = await fetchAndRetryProtectedUntilOk(payload, protectedHeader, privateKey, acmeDirectory);
+
+        if (response) {
+            return await returnAnswer(response, acmeDirectory);
+        }
+
+        return notCompletedError("deactivateAccount");
+    } catch (exception) {
+        return notCompletedError("deactivateAccount", exception);
+    }
+}
+
+/**
+ * Replaces the key of an account with a new key using the keyChange endpoint (RFC 8555 Section 7.3.5).
+ * 
+ * The inner JWS is signed by the new key and the outer JWS is signed by the current key of the account.
+ * @async
+ * 
+ * @param {string} kid - Key Identifier for the account
+ * @param {string} nonce - The replay nonce from the server
+ * @param {Object} privateKey - The current private key of the account
+ * @param {Object} newPrivateKey - The new private key for the account
+ * @param {Object} newJsonWebKey - The JSON Web Key representing the new public key of the account
+ * @param {Object} acmeDirectory - The ACME directory containing URLs for ACME operations
+ * 
+ * @returns {Promise<Object>} An object containing the updated account
+ * @property {Object|null} get - The updated account details
+ * @property {string|null} location - The location URL of the account
+ * @property {string|null} nonce - A new replay nonce for subsequent requests
+ * 
+ * @property {null|Object} error - Error details if the key change fails
+ */
+export async function rolloverAccountKey(kid, nonce, privateKey, newPrivateKey, newJsonWebKey, acmeDirectory) {
+    try {
+        const innerHeader = {
+            alg: getJwsAlgorithm(newPrivateKey),
+            jwk: newJsonWebKey,
+            url: acmeDirectory.keyChange,
+        };
+
+        const payload = JSON.parse(await signPayloadJson({ account: kid, oldKey: createPublicKey(privateKey).export({ format: 'jwk' }) }, innerHeader, newPrivateKey));
+
+        const protectedHeader = {
+            alg: getJwsAlgorithm(privateKey),
+            kid: kid,
+            nonce: nonce,
+            url: acmeDirectory.keyChange,
+        };
+
+        const response = await fetchAndRetryProtectedUntilOk(payload, protectedHeader, privateKey, acmeDirectory);
+
+        if (response) {
+            return await returnAnswer(response, acmeDirectory);
+        }
+
+        return notCompletedError("rolloverAccountKey");
+    } catch (exception) {
+        return notCompletedError("rolloverAccountKey", exception);
+    }
+}
+
+/**
+ * Lists the URLs of all orders belonging to an account, following every `Link: rel="next"` page.
+ * @async
+ * 
+ * @param {string} kid - Key Identifier for the account
+ * @param {string} nonce - The replay nonce from the server
+ * @param {Object} privateKey - The private key of the account
+ * @param {string} [ordersUrl] - The `orders` URL of the account, retrieved from the account when not provided
+ * @param {Object} acmeDirectory - The ACME directory containing URLs for ACME operations
+ * 
+ * @returns {Promise<Object>} An object containing the order URLs
+ * @property {Object|null} get - An object with an `orders` array of order URLs from all pages
+ * @property {string|null} nonce - A new replay nonce for subsequent requests
+ * 
+ * @property {null|Object} error - Error details if retrieving a page fails
+ */
+export async function listOrders(kid, nonce, privateKey, ordersUrl, acmeDirectory) {
+    try {
+        if (ordersUrl == undefined) {
+            const account = await getAccount(kid, nonce, privateKey, acmeDirectory);
+
+            if (account.error) {
+                return account;
+            }
+
+            ordersUrl = account.get.orders;
+            nonce = account.nonce;
+        }
+
+        const orders = [];
+        const visited = new Set();
+
+        let nextUrl = ordersUrl;
+
+        while (nextUrl && !visited.has(nextUrl)) {
+            visited.add(nextUrl);
+
+            const protectedHeader = {
+                alg: getJwsAlgorithm(privateKey),
+                kid: kid,
+                nonce: nonce,
+                url: nextUrl,
+            };
+
+            const response = await fetchAndRetryProtectedUntilOk(METHOD_POST_AS_GET, protectedHeader, privateKey, acmeDirectory, 3, true);
+
+            if (!response) {
+                return notCompletedError("listOrders");
+            }
+
+            const answer = await returnAnswer(response, acmeDirectory);
+
+            if (answer.error) {
+                return answer;
+            }
+
+            orders.push(...(answer.get.orders || []));
+            nonce = answer.nonce;
+            nextUrl = getLinks(response.headers, REL_NEXT, nextUrl)[0];
+        }
+
+        return { get: { orders: orders }, nonce: nonce };
+    } catch (exception) {
+        return notCompletedError("listOrders", exception);
+    }
+}
+
 /**
  * Creates a new order for certificate issuance on the ACME server.
  * @async
@@ -138,22 +748,49 @@ export async function createAccount(nonce, privateKey, jsonWebKey, acmeDirectory
  * @param {string} kid - Key Identifier for the account
  * @param {string} nonce - The replay nonce from the server
  * @param {Object} privateKey - The private key for signing the request
- * @param {string[]} identifiers - Domain names to be included in the certificate
+ * @param {Array<string|Object>} identifiers - Domain names, IP addresses or `{ type, value }` identifiers to be included in the certificate, normalized with `normalizeIdentifiers`
  * @param {Object} acmeDirectory - The ACME directory containing URLs for ACME operations
+ * @param {Object} [options] - Optional order settings
+ * @param {string} [options.replaces] - The ARI certificate identifier or the PEM-encoded certificate this order renews
+ * @param {string} [options.profile] - The name of a certificate profile from the `profiles` of the directory
  * 
  * @returns {Promise<Object>} An object containing the order creation result
  * @property {Object|null} get - The created order details
  * @property {string|null} location - The location URL of the created order
  * @property {string|null} nonce - A new replay nonce for subsequent requests
  * 
- * @property {null|Object} error - Error details if order creation fails
+ * @property {null|Object} error - Error details if order creation fails, a `bac:invalid:createOrder` error when an identifier or the profile is not valid
  */
-export async function createOrder(kid, nonce, privateKey, identifiers, acmeDirectory) {
+export async function createOrder(kid, nonce, privateKey, identifiers, acmeDirectory, options = {}) {
     try {
-        const payload = { [SAN]: identifiers };
+        let normalized = undefined;
+
+        try {
+            normalized = normalizeIdentifiers(identifiers);
+        } catch (exception) {
+            return invalidRequestError("createOrder", exception.message);
+        }
+
+        const payload = { [SAN]: normalized };
+
+        if (options.replaces) {
+            payload.replaces = options.replaces.includes(PEM_BEGIN) ? getCertificateId(options.replaces) : options.replaces;
+        }
+
+        if (options.profile) {
+            const profiles = parseDirectory(acmeDirectory).profiles;
+
+            if (!Object.hasOwn(profiles, options.profile)) {
+                const offered = Object.keys(profiles);
+
+                return invalidRequestError("createOrder", offered.length > 0 ? `The profile ${options.profile} is not offered, the server offers ${offered.join(", ")}` : "The ACME server does not offer certificate profiles");
+            }
+
+            payload.profile = options.profile;
+        }
 
         const protectedHeader = {
-            alg: ALG_ECDSA,
+            alg: getJwsAlgorithm(privateKey),
             kid: kid,
             nonce: nonce,
             url: acmeDirectory.newOrder,
@@ -172,7 +809,8 @@ export async function createOrder(kid, nonce, privateKey, identifiers, acmeDirec
 }
 
 /**
- * Finalizes a certificate order by submitting a Certificate Signing Request (CSR).
+ * Finalizes a certificate order by submitting a Certificate Signing Request (CSR) that is created from the certificate key.
+ * An existing CSR is submitted with `finalizeOrderWithCsr` instead.
  * @async
  * 
  * @param {string} commonName - The primary domain name for the certificate
@@ -183,21 +821,28 @@ export async function createOrder(kid, nonce, privateKey, identifiers, acmeDirec
  * @param {Object} privateKeySign - Private key used for signing the CSR
  * @param {string} finalizeUrl - The URL for finalizing the order
  * @param {Object} acmeDirectory - The ACME directory containing URLs for ACME operations
- * @param {string[]} dnsNames - Additional DNS names to be included in the certificate
+ * @param {Array<string|Object>} dnsNames - Domain names, IP addresses or `{ type, value }` identifiers to be included in the certificate, the CSR is built with `createCertificateSigningRequest` when there are IP addresses
  * 
  * @returns {Promise<Object>} An object containing the order finalization result
  * @property {Object|null} get - The finalized order details
  * @property {string|null} location - The location URL of the finalized order
+ * @property {number|null} retryAfter - Milliseconds the server asked to wait before polling again
  * @property {string|null} nonce - A new replay nonce for subsequent requests
  * 
  * @property {null|Object} error - Error details if finalization fails
  */
 export async function finalizeOrder(commonName, kid, nonce, privateKey, publicKeySign, privateKeySign, finalizeUrl, dnsNames, acmeDirectory) {
     try {
-        const payload = { csr: await generateCSRWithExistingKeys(commonName, publicKeySign, privateKeySign, dnsNames) };
+        const altNames = dnsNames.map((name) => typeof name === 'string' ? name : name.value);
+
+        const csr = altNames.some((name) => isIP(name)) // The CSR generator only supports DNS names
+            ? base64urlEncode(pemToDer(createCertificateSigningRequest({ privateKey: privateKeySign, commonName: isIP(commonName) ? undefined : commonName, altNames: altNames }), "CERTIFICATE REQUEST"))
+            : await generateCSRWithExistingKeys(commonName, publicKeySign, privateKeySign, altNames);
+
+        const payload = { csr: csr };
 
         const protectedHeader = {
-            alg: ALG_ECDSA,
+            alg: getJwsAlgorithm(privateKey),
             kid: kid,
             nonce: nonce,
             url: finalizeUrl,
@@ -215,6 +860,197 @@ export async function finalizeOrder(commonName, kid, nonce, privateKey, publicKe
     }
 }
 
+/**
+ * Finalizes a certificate order with an existing Certificate Signing Request (CSR), such as one created by a signing service for an HSM-backed key.
+ * @async
+ * 
+ * @param {string} kid - Key Identifier for the account
+ * @param {string} nonce - The replay nonce from the server
+ * @param {Object} privateKey - The private key for signing the request
+ * @param {string} finalizeUrl - The URL for finalizing the order
+ * @param {string|Uint8Array} csr - The PEM-encoded, DER-encoded or base64url-encoded DER CSR
+ * @param {Array<string|Object>} identifiers - The identifiers of the order, usually `order.identifiers`
+ * @param {Object} acmeDirectory - The ACME directory containing URLs for ACME operations
+ * 
+ * @returns {Promise<Object>} An object containing the order finalization result
+ * @property {Object|null} get - The finalized order details
+ * @property {string|null} location - The location URL of the finalized order
+ * @property {number|null} retryAfter - Milliseconds the server asked to wait before polling again
+ * @property {string|null} nonce - A new replay nonce for subsequent requests
+ * 
+ * @property {null|Object} error - Error details if finalization fails, a `bac:invalid:finalizeOrderWithCsr` error when the CSR does not fit the order
+ * 
+ * @description
+ * The CSR is checked before it is submitted: its signature must be valid, the subject alternative names must exactly
+ * match the identifiers of the order, a common name must be one of them and the key of the CSR must not be the account key.
+ *
+ * This is a separate function because `finalizeOrder` creates the CSR from `commonName`, `publicKeySign` and `privateKeySign`,
+ * so a caller that only has a CSR and no private key would have to pass placeholders for them.
+ */
+export async function finalizeOrderWithCsr(kid, nonce, privateKey, finalizeUrl, csr, identifiers, acmeDirectory) {
+    try {
+        let request = undefined;
+
+        try {
+            request = decodeCertificateSigningRequest(csr);
+        } catch (exception) {
+            return invalidRequestError("finalizeOrderWithCsr", `The CSR could not be decoded: ${exception.message}`);
+        }
+
+        const expected = normalizeIdentifiers(identifiers).map((identifier) => `${identifier.type}:${identifier.value}`).sort();
+        const requested = request.altNames.length > 0 ? normalizeIdentifiers(request.altNames).map((identifier) => `${identifier.type}:${identifier.value}`).sort() : [];
+
+        if (expected.join(",") !== requested.join(",")) {
+            return invalidRequestError("finalizeOrderWithCsr", `The CSR names (${requested.join(", ") || "none"}) do not match the order identifiers (${expected.join(", ")})`);
+        }
+
+        if (request.commonName != null && !requested.includes(commonNameIdentifier(request.commonName))) {
+            return invalidRequestError("finalizeOrderWithCsr", `The CSR common name ${request.commonName} is not one of its names`);
+        }
+
+        const accountKey = createPublicKey(privateKey).export({ type: 'spki', format: 'der' });
+
+        if (request.publicKey.export({ type: 'spki', format: 'der' }).equals(accountKey)) {
+            return invalidRequestError("finalizeOrderWithCsr", "The CSR uses the account key, the certificate needs its own key");
+        }
+
+        const payload = { csr: base64urlEncode(request.der) };
+
+        const protectedHeader = {
+            alg: getJwsAlgorithm(privateKey),
+            kid: kid,
+            nonce: nonce,
+            url: finalizeUrl,
+        };
+
+        const response = await fetchAndRetryProtectedUntilOk(payload, protectedHeader, privateKey, acmeDirectory);
+
+        if (response) {
+            return returnAnswer(response, acmeDirectory);
+        }
+
+        return notCompletedError("finalizeOrderWithCsr");
+    } catch (exception) {
+        return notCompletedError("finalizeOrderWithCsr", exception);
+    }
+}
+
+/**
+ * Downloads an issued certificate chain from the `certificate` URL of a valid order.
+ * 
+ * When a preferred chain is given and the default chain does not match it, the alternate
+ * chains advertised with `Link: rel="alternate"` are downloaded until one matches.
+ * @async
+ * 
+ * @param {string} kid - Key Identifier for the account
+ * @param {string} nonce - The replay nonce from the server
+ * @param {Object} privateKey - The private key for signing the request
+ * @param {string} certificateUrl - The `certificate` URL of the order
+ * @param {Object} acmeDirectory - The ACME directory containing URLs for ACME operations
+ * @param {string} [preferredChain] - The issuer common name to select a chain by, e.g. "ISRG Root X1"
+ * 
+ * @returns {Promise<Object>} An object containing the certificate chain
+ * @property {Object|null} get - The downloaded chain
+ * @property {string} get.pem - The full PEM-encoded certificate chain
+ * @property {string} get.certificate - The PEM-encoded leaf certificate
+ * @property {string[]} get.chain - The PEM-encoded intermediate certificates
+ * @property {string[]} get.alternates - The URLs of the alternate chains
+ * @property {string} get.url - The URL the returned chain was downloaded from
+ * @property {string|null} nonce - A new replay nonce for subsequent requests
+ * 
+ * @property {null|Object} error - Error details if the download fails
+ */
+export async function downloadCertificate(kid, nonce, privateKey, certificateUrl, acmeDirectory, preferredChain) {
+    try {
+        const answer = await downloadCertificateChain(kid, nonce, privateKey, certificateUrl, acmeDirectory);
+
+        if (answer.error || preferredChain == undefined || chainMatchesIssuer(answer.get, preferredChain)) {
+            return answer;
+        }
+
+        nonce = answer.nonce;
+
+        for (const alternateUrl of answer.get.alternates) {
+            const alternate = await downloadCertificateChain(kid, nonce, privateKey, alternateUrl, acmeDirectory);
+
+            if (alternate.error) {
+                return alternate;
+            }
+
+            nonce = alternate.nonce;
+
+            if (chainMatchesIssuer(alternate.get, preferredChain)) {
+                alternate.get.alternates = [certificateUrl, ...answer.get.alternates.filter((url) => url !== alternateUrl)];
+
+                return alternate;
+            }
+        }
+
+        answer.nonce = nonce;
+
+        return answer;
+    } catch (exception) {
+        return notCompletedError("downloadCertificate", exception);
+    }
+}
+
+/**
+ * Revokes a certificate (RFC 8555 Section 7.6).
+ * 
+ * The request is signed by the account key when a Key Identifier is provided,
+ * otherwise it is signed by the private key of the certificate and sent with its JSON Web Key.
+ * @async
+ * 
+ * @param {string|null} kid - Key Identifier for the account, or null to sign with the certificate key
+ * @param {string} nonce - The replay nonce from the server
+ * @param {Object} privateKey - The private key of the account or of the certificate
+ * @param {string|Uint8Array} certificate - The PEM-encoded certificate (the first certificate is used) or the DER-encoded certificate
+ * @param {number} [reason] - The RFC 5280 revocation reason code (0-6 or 8-10)
+ * @param {Object} acmeDirectory - The ACME directory containing URLs for ACME operations
+ * 
+ * @returns {Promise<Object>} An object containing the revocation result
+ * @property {Object|null} get - An empty object when the certificate was revoked
+ * @property {string|null} nonce - A new replay nonce for subsequent requests
+ * 
+ * @property {null|Object} error - The problem document if revocation fails (e.g. alreadyRevoked, badRevocationReason, unauthorized)
+ */
+export async function revokeCertificate(kid, nonce, privateKey, certificate, reason, acmeDirectory) {
+    try {
+        if (reason != undefined && !REVOCATION_REASONS.includes(reason)) {
+            return invalidRequestError("revokeCertificate", `Revocation reason must be one of ${REVOCATION_REASONS.join(', ')}, received ${reason}`);
+        }
+
+        const payload = { certificate: base64urlEncode(typeof certificate === 'string' ? pemToDer(certificate, "CERTIFICATE") : certificate) };
+
+        if (reason != undefined) {
+            payload.reason = reason;
+        }
+
+        const protectedHeader = {
+            alg: getJwsAlgorithm(privateKey),
+            nonce: nonce,
+            url: acmeDirectory.revokeCert,
+        };
+
+        if (kid) {
+            protectedHeader.kid = kid;
+        }
+        else {
+            protectedHeader.jwk = createPublicKey(privateKey).export({ format: 'jwk' });
+        }
+
+        const response = await fetchAndRetryProtectedUntilOk(payload, protectedHeader, privateKey, acmeDirectory, 3, true);
+
+        if (response) {
+            return await returnAnswer(response, acmeDirectory);
+        }
+
+        return notCompletedError("revokeCertificate");
+    } catch (exception) {
+        return notCompletedError("revokeCertificate", exception);
+    }
+}
+
 /**
  * Performs a POST-as-GET request to retrieve order or authorization status.
  * @async
@@ -228,6 +1064,7 @@ export async function finalizeOrder(commonName, kid, nonce, privateKey, publicKe
  * @returns {Promise<Object>} An object containing the retrieved information
  * @property {Object|null} get - The retrieved resource details
  * @property {string|null} location - The location URL of the resource
+ * @property {number|null} retryAfter - Milliseconds the server asked to wait before polling again
  * @property {string|null} nonce - A new replay nonce for subsequent requests
  * 
  * @property {null|Object} error - Error details if retrieval fails
@@ -235,7 +1072,7 @@ export async function finalizeOrder(commonName, kid, nonce, privateKey, publicKe
 export async function postAsGet(kid, nonce, privateKey, url, acmeDirectory) {
     try {
         const protectedHeader = {
-            alg: ALG_ECDSA,
+            alg: getJwsAlgorithm(privateKey),
             kid: kid,
             nonce: nonce,
             url: url,
@@ -273,7 +1110,7 @@ export async function postAsGet(kid, nonce, privateKey, url, acmeDirectory) {
 export async function postAsGetChal(kid, nonce, privateKey, url, acmeDirectory) {
     try {
         const protectedHeader = {
-            alg: ALG_ECDSA,
+            alg: getJwsAlgorithm(privateKey),
             kid: kid,
             nonce: nonce,
             url: url,
@@ -307,51 +1144,148 @@ export async function signPayloadJson(payload, protectedHeader, privateKey) {
 
 /**
  * Signs a payload for ACME server requests.
+ * 
+ * The digest and signature encoding are chosen from the `alg` of the protected header.
  * @async
  * 
  * @param {string|Object} payload - The payload to be signed
  * @param {Object} protectedHeader - The protected header containing metadata
- * @param {Object} privateKey - The private key used for signing
+ * @param {Object} privateKey - The private key used for signing, or the shared secret for HS256/HS384/HS512
  * 
  * @returns {Promise<string>} A JSON Web Signature (JWS) string
+ * @throws {Error} Throws an error if the algorithm in the protected header is not supported
  */
 export async function signPayload(payload, protectedHeader, privateKey) {
+    const algorithm = JWS_ALGORITHMS[protectedHeader.alg];
+
+    if (algorithm == undefined) {
+        throw new Error(`Unsupported JWS algorithm: ${protectedHeader.alg}`);
+    }
+
     const payload64 = base64urlEncode(new TextEncoder().encode(payload));
     const protected64 = base64urlEncode(new TextEncoder().encode(JSON.stringify(protectedHeader)));
 
     const jws = {
-        signature: base64urlEncode(sign("sha256", `${protected64}${'.'}${payload64}`, { dsaEncoding: 'ieee-p1363', key: privateKey })),
+        signature: base64urlEncode(algorithm.hmac
+            ? createHmac(algorithm.digest, privateKey).update(`${protected64}${'.'}${payload64}`).digest()
+            : sign(algorithm.digest, `${protected64}${'.'}${payload64}`, { dsaEncoding: algorithm.dsaEncoding, key: privateKey })),
         payload: "",
         protected: protected64
     };
 
-    if (payload.length > 1) {
-        jws.payload = payload64
+    if (payload.length > 1) {
+        jws.payload = payload64
+    }
+
+    return JSON.stringify(jws);
+}
+
+/**
+ * Formats a public key to a key object.
+ * 
+ * @param {string|Object|Uint8Array} pem - The SPKI `PUBLIC KEY` or PKCS#1 `RSA PUBLIC KEY` PEM, a certificate or private key PEM, a JWK (object or JSON) or SPKI DER
+ * 
+ * @returns {Object} A formatted public key object
+ * @throws {Error} Throws an error if the key can not be read
+ */
+export function formatPublicKey(pem) {
+    if (pem instanceof KeyObject) {
+        return pem.type === 'public' ? pem : createPublicKey(pem);
+    }
+
+    const jsonWebKey = readJsonWebKey(pem);
+
+    if (jsonWebKey) {
+        return createPublicKey({ key: jsonWebKey, format: 'jwk' });
+    }
+
+    return typeof pem === 'string' ? createPublicKey(pem) : createPublicKey({ key: Buffer.from(pem), type: 'spki', format: 'der' });
+}
+
+/**
+ * Formats a private key to a key object.
+ * 
+ * Reads the private keys of other ACME clients, such as the PEM account keys of acme.sh and the JWK account keys of certbot.
+ * 
+ * @param {string|Object|Uint8Array} pem - The PKCS#8 `PRIVATE KEY`, `ENCRYPTED PRIVATE KEY`, SEC1 `EC PRIVATE KEY` or PKCS#1 `RSA PRIVATE KEY` PEM, a JWK (object or JSON) or PKCS#8 DER
+ * @param {string} [passphrase] - The passphrase of an encrypted key
+ * 
+ * @returns {Object} A formatted private key object
+ * @throws {Error} Throws an error if the key can not be read or is encrypted and no passphrase is provided
+ */
+export function formatPrivateKey(pem, passphrase) {
+    if (pem instanceof KeyObject) {
+        return pem;
+    }
+
+    const jsonWebKey = readJsonWebKey(pem);
+
+    if (jsonWebKey) {
+        return createPrivateKey({ key: jsonWebKey, format: 'jwk' });
+    }
+
+    if (typeof pem === 'string' && passphrase == undefined && /ENCRYPTED PRIVATE KEY|Proc-Type: 4,ENCRYPTED/.test(pem)) {
+        throw new Error("The private key is encrypted, provide its passphrase");
+    }
+
+    return typeof pem === 'string'
+        ? createPrivateKey({ key: pem, format: 'pem', passphrase: passphrase })
+        : createPrivateKey({ key: Buffer.from(pem), type: 'pkcs8', format: 'der', passphrase: passphrase });
+}
+
+/**
+ * Exports a private key as PKCS#8 PEM, encrypted with AES-256-CBC when a passphrase is provided.
+ * 
+ * @param {Object|string} privateKey - The private key object or any key `formatPrivateKey` reads
+ * @param {string} [passphrase] - The passphrase that protects the exported key
+ * 
+ * @returns {string} The PEM-encoded `PRIVATE KEY` or `ENCRYPTED PRIVATE KEY`
+ */
+export function exportPrivateKey(privateKey, passphrase) {
+    const options = { type: 'pkcs8', format: 'pem' };
+
+    if (passphrase) {
+        options.cipher = KEY_CIPHER;
+        options.passphrase = passphrase;
     }
 
-    return JSON.stringify(jws);
+    return formatPrivateKey(privateKey).export(options);
 }
 
 /**
- * Formats a PEM-encoded public key to a key object.
+ * Generates an account key pair of a type that can sign ACME requests.
  * 
- * @param {string} pem - The PEM-encoded public key
+ * @param {string} [type="P-256"] - `P-256` (ES256), `P-384` (ES384), `P-521` (ES512), `RSA-2048`, `RSA-3072`, `RSA-4096` (RS256), `Ed25519` or `Ed448` (EdDSA)
  * 
- * @returns {Object} A formatted public key object
+ * @returns {Object} The generated key pair
+ * @property {Object} privateKey - The private key object
+ * @property {Object} publicKey - The public key object
+ * @throws {Error} Throws an error if the type is not supported
  */
-export function formatPublicKey(pem) {
-    return createPublicKey({ key: Buffer.from(pem.replace(/(?:-----(?:BEGIN|END) PUBLIC KEY-----|\s)/g, ''), 'base64'), type: 'spki', format: 'der' });
+export function generateAccountKey(type = DEFAULT_KEY_TYPE) {
+    if (KEY_TYPES[type] == undefined) {
+        throw new Error(`Unsupported account key type ${type}, use one of ${Object.keys(KEY_TYPES).join(', ')}`);
+    }
+
+    return generateKeyPairSync(...KEY_TYPES[type]);
 }
 
 /**
- * Formats a PEM-encoded private key to a key object.
+ * Generates a certificate key pair of a type that public certificate authorities issue certificates for.
  * 
- * @param {string} pem - The PEM-encoded private key
+ * @param {string} [type="P-256"] - `P-256`, `P-384`, `RSA-2048`, `RSA-3072` or `RSA-4096`
  * 
- * @returns {Object} A formatted private key object
+ * @returns {Object} The generated key pair
+ * @property {Object} privateKey - The private key object
+ * @property {Object} publicKey - The public key object
+ * @throws {Error} Throws an error if the type is not supported
  */
-export function formatPrivateKey(pem) {
-    return createPrivateKey({ key: Buffer.from(pem.replace(/(?:-----(?:BEGIN|END) PRIVATE KEY-----|\s)/g, ''), 'base64'), type: 'pkcs8', format: 'der' });
+export function generateCertificateKey(type = DEFAULT_KEY_TYPE) {
+    if (!CERTIFICATE_KEY_TYPES.includes(type)) {
+        throw new Error(`Unsupported certificate key type ${type}, use one of ${CERTIFICATE_KEY_TYPES.join(', ')}`);
+    }
+
+    return generateKeyPairSync(...KEY_TYPES[type]);
 }
 
 /**
@@ -386,11 +1320,50 @@ export function hexToBytes(hex) {
     return bytes;
 }
 
+/**
+ * Waits for a number of milliseconds.
+ *
+ * The wait is cancelled when the `signal` of the client configuration (see `configureClient`) or the provided signal is aborted.
+ * @async
+ * 
+ * @param {number} milliseconds - The milliseconds to wait
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * 
+ * @returns {Promise<void>} A promise that resolves after the wait, or rejects with the reason of the signal when it is aborted
+ */
+export function sleep(milliseconds, signal) {
+    const signals = [clientConfig.signal, signal].filter((value) => value);
+    const cancel = signals.length > 1 ? AbortSignal.any(signals) : signals[0];
+
+    return new Promise((resolve, reject) => {
+        if (cancel && cancel.aborted) {
+            return reject(cancel.reason);
+        }
+
+        const cancelled = () => {
+            clearTimeout(timer);
+            reject(cancel.reason);
+        };
+
+        const timer = setTimeout(() => {
+            if (cancel) {
+                cancel.removeEventListener('abort', cancelled);
+            }
+
+            resolve();
+        }, milliseconds);
+
+        if (cancel) {
+            cancel.addEventListener('abort', cancelled, { once: true });
+        }
+    });
+}
+
 /**
  * Retrieves the next nonce for ACME protocol requests.
  *
  * If a replay nonce is provided in the headers, it will return that nonce.
- * Otherwise, it will request a new nonce from the ACME directory.
+ * Otherwise, it will take a nonce from the nonce pool or request a new nonce from the ACME directory.
  *
  * @async
  * 
@@ -404,14 +1377,49 @@ export async function getNextNonce(headers, acmeDirectory) {
     const replay = headers ? headers.get(REPLAY_NONCE) : undefined;
 
     if (replay == undefined) {
-        const nextNonce = await newNonce(acmeDirectory.newNonce);
-
-        return nextNonce.nonce ? nextNonce.nonce : null;
+        return await takeNonce(acmeDirectory);
     }
 
     return replay;
 }
 
+/**
+ * Takes an unused nonce from the nonce pool of an ACME server, fetching a new nonce when the pool is empty.
+ * 
+ * Every `Replay-Nonce` returned by a protected request is added to the pool of its server and taken out of it
+ * again when it is returned to the caller, so concurrent requests under the same account never sign with the same nonce.
+ * @async
+ * 
+ * @param {Object} acmeDirectory - The ACME directory containing URLs for ACME operations
+ * 
+ * @returns {Promise<string|null>} A promise that resolves to the nonce, or null if no nonce is available.
+ */
+export async function takeNonce(acmeDirectory) {
+    const pool = noncePools.get(acmeDirectory.newNonce);
+
+    if (pool && pool.length > 0) {
+        return pool.pop();
+    }
+
+    const nextNonce = await newNonce(acmeDirectory.newNonce);
+
+    return nextNonce.nonce ? nextNonce.nonce : null;
+}
+
+/**
+ * Removes all pooled nonces of an ACME server, or of every server when no directory is provided.
+ * 
+ * @param {Object} [acmeDirectory] - The ACME directory containing URLs for ACME operations
+ */
+export function clearNonces(acmeDirectory) {
+    if (acmeDirectory) {
+        noncePools.delete(acmeDirectory.newNonce);
+    }
+    else {
+        noncePools.clear();
+    }
+}
+
 /**
  * Sends a signed request to the ACME server.
  * @async
@@ -419,10 +1427,11 @@ export async function getNextNonce(headers, acmeDirectory) {
  * @param {string} method - The HTTP method to use (e.g., 'GET', 'POST')
  * @param {string} url - The URL to send the request to
  * @param {string} signedData - The signed payload to send
+ * @param {string} [accept] - The media type to request with the Accept header
  * 
  * @returns {Promise<Response>} The response from the server
  */
-export async function fetchRequest(method, url, signedData) {
+export async function fetchRequest(method, url, signedData, accept) {
     const request = {
         method: method,
         headers: {
@@ -431,7 +1440,11 @@ export async function fetchRequest(method, url, signedData) {
         body: signedData
     };
 
-    return await fetch(url, request);
+    if (accept) {
+        request.headers[ACCEPT] = accept;
+    }
+
+    return await transportFetch(url, request);
 }
 
 /**
@@ -439,11 +1452,12 @@ export async function fetchRequest(method, url, signedData) {
  * @async
  * 
  * @param {string} renewalInfoUrl - The base URL for fetching renewal information.
- * @param {string} aki- The Authority Key Identifier in hexadecimal format.
- * @param {string} serial - The serial number in hexadecimal format.
+ * @param {string|Uint8Array} aki - The Authority Key Identifier in hexadecimal format, or the PEM/DER-encoded certificate when serial is not provided.
+ * @param {string} [serial] - The serial number in hexadecimal format.
  * 
  * @returns {Promise<Object>} A promise that resolves to the parsed JSON of the suggested window
- * @property {Object|null} get - The retrieved suggested window
+ * @property {Object|null} get - The retrieved renewal information with the `suggestedWindow` and optional `explanationURL`
+ * @property {number|null} retryAfter - Milliseconds the server asked to wait before fetching the renewal information again
  * 
  * @property {null|Object} error - Error details if retrieval fails
  * 
@@ -451,12 +1465,16 @@ export async function fetchRequest(method, url, signedData) {
  */
 export async function fetchSuggestedWindow(renewalInfoUrl, aki, serial) {
     try {
-        const url = `${renewalInfoUrl}/${base64urlEncode(hexToBytes(aki))}.${base64urlEncode(hexToBytes(serial))}`;
+        const certificateId = serial == undefined ? getCertificateId(aki) : `${base64urlEncode(hexToBytes(aki))}.${base64urlEncode(hexToBytes(serial))}`;
+
+        const url = `${renewalInfoUrl}/${certificateId}`;
 
         const response = await fetchAndRetryUntilOk(url, null, 2, true);
 
-        if (response && response.ok) {
-            return { get: await response.json() }
+        if (response) {
+            return response.ok
+                ? { get: await response.json(), retryAfter: getRetryAfter(response.headers) }
+                : { error: new AcmeProblemError(await readBody(response), response.status, getRetryAfter(response.headers)) };
         }
 
         return notCompletedError("fetchSuggestedWindow");
@@ -465,6 +1483,130 @@ export async function fetchSuggestedWindow(renewalInfoUrl, aki, serial) {
     }
 }
 
+/**
+ * Computes the ACME Renewal Information certificate identifier of a certificate.
+ * 
+ * The identifier is the base64url-encoded key identifier of the authority key identifier extension and the
+ * base64url-encoded serial number, separated by a period.
+ * 
+ * @param {string|Uint8Array} certificate - The PEM-encoded certificate (the first certificate is used) or the DER-encoded certificate
+ * 
+ * @returns {string} The ARI certificate identifier
+ * @throws {Error} Throws an error if the certificate has no authority key identifier
+ */
+export function getCertificateId(certificate) {
+    const decoded = decodeCertificate(certificate);
+
+    if (decoded.authorityKeyIdentifier == undefined) {
+        throw new Error("The certificate has no authority key identifier");
+    }
+
+    return `${base64urlEncode(decoded.authorityKeyIdentifier)}.${base64urlEncode(decoded.serialNumber)}`;
+}
+
+/**
+ * Schedules the renewal of a certificate using ACME Renewal Information.
+ * 
+ * A random time inside the suggested window is selected and the renewal information is fetched again as
+ * often as `Retry-After` asks. When the selected time is reached the callback is called once and the schedule ends.
+ * When the renewal information can not be fetched, the renewal is scheduled when one third of the validity remains.
+ * 
+ * @param {string} renewalInfoUrl - The renewalInfo URL from the ACME directory
+ * @param {string|Uint8Array} certificate - The PEM-encoded or DER-encoded certificate
+ * @param {Function} onRenew - Called with `{ renewAt, suggestedWindow, explanationURL }` when it is time to renew
+ * @param {Object} [options] - Optional scheduler settings
+ * @param {number} [options.defaultRetryAfter=21600000] - Milliseconds between fetches when the server does not send `Retry-After`
+ * @param {number} [options.errorRetryAfter=3600000] - Milliseconds between fetches after a failed fetch
+ * @param {Function} [options.onError] - Called with the error if onRenew throws or rejects
+ * 
+ * @returns {Object} The schedule
+ * @property {Function} stop - Cancels the schedule
+ * @property {Function} renewAt - Returns the selected renewal time as a Date, or null if none was selected yet
+ */
+export function scheduleRenewal(renewalInfoUrl, certificate, onRenew, options = {}) {
+    const x509 = new X509Certificate(typeof certificate === 'string' ? certificate : Buffer.from(certificate));
+    const validFrom = Date.parse(x509.validFrom);
+    const validTo = Date.parse(x509.validTo);
+
+    let stopped = false;
+    let timer = undefined;
+    let window = undefined;
+    let renewAt = null;
+
+    const wait = (delay, callback) => {
+        timer = setTimeout(() => {
+            const remaining = delay - MAX_TIMEOUT;
+
+            if (remaining > 0) {
+                wait(remaining, callback);
+            }
+            else {
+                callback();
+            }
+        }, Math.min(delay, MAX_TIMEOUT));
+    };
+
+    const renew = async () => {
+        stopped = true;
+
+        try {
+            await onRenew({ renewAt: new Date(renewAt), suggestedWindow: window ? window.suggestedWindow : null, explanationURL: window ? window.explanationURL : undefined });
+        } catch (exception) {
+            if (options.onError) {
+                options.onError(exception);
+            }
+        }
+    };
+
+    const check = async () => {
+        if (stopped) {
+            return;
+        }
+
+        const renewalInfo = await fetchSuggestedWindow(renewalInfoUrl, certificate);
+
+        let nextCheck = options.errorRetryAfter || ARI_ERROR_RETRY_AFTER;
+
+        if (renewalInfo.get && renewalInfo.get.suggestedWindow) {
+            const start = Date.parse(renewalInfo.get.suggestedWindow.start);
+            const end = Date.parse(renewalInfo.get.suggestedWindow.end);
+
+            if (window == undefined || renewAt < start || renewAt > end) {
+                renewAt = start + Math.random() * Math.max(end - start, 0);
+            }
+
+            window = renewalInfo.get;
+            nextCheck = renewalInfo.retryAfter != undefined ? renewalInfo.retryAfter : (options.defaultRetryAfter || ARI_RETRY_AFTER);
+        }
+        else if (renewAt == undefined) {
+            renewAt = validTo - (validTo - validFrom) / 3;
+        }
+
+        if (stopped) {
+            return;
+        }
+
+        const delay = renewAt - Date.now();
+
+        if (delay <= nextCheck) {
+            wait(Math.max(delay, 0), renew);
+        }
+        else {
+            wait(nextCheck, check);
+        }
+    };
+
+    check();
+
+    return {
+        stop: () => {
+            stopped = true;
+            clearTimeout(timer);
+        },
+        renewAt: () => renewAt == undefined ? null : new Date(renewAt)
+    };
+}
+
 /**
  * Fetch a resource with multiple retry attempts and progressive backoff.
  * @async
@@ -472,7 +1614,7 @@ export async function fetchSuggestedWindow(renewalInfoUrl, aki, serial) {
  * @param {string|Request} fetchInput - The URL or Request object to fetch
  * @param {Object} init - optional fetch init object
  * @param {number} [attempts=6] - Maximum number of fetch attempts
- * @param {boolean} silent - true to suppress console output on failure attempt
+ * @param {boolean} silent - true to suppress log output on failure attempt
  * @returns {Promise<Response|undefined>} The response or undefined if all attempts fail
  * 
  * @description
@@ -480,8 +1622,10 @@ export async function fetchSuggestedWindow(renewalInfoUrl, aki, serial) {
  * - Starts with one fetch attempt
  * - Increments attempts progressively
  * - Implements an increasing delay between failed attempts (650ms * attempt number)
- * - Logs any caught exceptions
+ * - Waits for the `Retry-After` of the response instead when there is one
+ * - Logs failed attempts and caught exceptions to the configured logger and emits a `retry` event
  * - Returns immediately on a successful (ok) response
+ * - Returns immediately when the retry policy does not retry the response (see `configureClient`)
  * - Returns the last response or undefined if all attempts are exhausted
  * 
  * @example
@@ -497,23 +1641,27 @@ export async function fetchAndRetryUntilOk(fetchInput, init, attempts = 6, silen
     while (a <= attempts) {
         a++;
         try {
-            const response = await fetch(fetchInput, init);
+            const response = await transportFetch(fetchInput, init);
 
             if (response.ok) {
                 return response;
             }
 
-            if (a > attempts) {
+            const delay = a > attempts ? undefined : await getRetryDelay(response, 650 * a); // Each failed attempt will delay itself slightly more
+
+            if (delay == undefined) {
                 return response;
             }
 
-            if (!silent) {
-                console.error(a - 1, "attempt failed, trying again", fetchInput);
-            }
+            retrying(fetchInput.url || fetchInput, a - 1, delay, response, silent);
 
-            await new Promise((resolve) => setTimeout(() => { resolve(); }, 650 * a)); // Each failed attempt will delay itself slightly more
+            await sleep(delay, init && init.signal);
         } catch (exception) {
-            console.error(a - 1, exception);
+            if (isCancelled(init && init.signal)) {
+                throw exception;
+            }
+
+            retrying(fetchInput.url || fetchInput, a - 1, 0, undefined, silent, exception);
         }
     }
 
@@ -529,17 +1677,22 @@ export async function fetchAndRetryUntilOk(fetchInput, init, attempts = 6, silen
  * @param {Object} privateKey - The private key for signing the request
  * @param {Object} acmeDirectory - The ACME directory containing URLs for ACME operations
  * @param {number} [attempts=6] - Maximum number of fetch attempts (default: 6)
- * @param {boolean} silent - true to suppress console output on failure attempt
+ * @param {boolean} silent - true to suppress log output on failure attempt
+ * @param {string} [accept] - The media type to request with the Accept header
  * 
  * @returns {Promise<Response|undefined>} The response or undefined if all attempts fail
  *
  * @description
  * This function attempts to fetch a protected resource with the following characteristics:
  * - Starts with one fetch attempt
+ * - Signs with a nonce from the nonce pool when the protected header has no nonce
+ * - Retries right away with a fresh nonce when the server rejects the nonce (badNonce)
  * - Increments attempts progressively
  * - Implements an increasing delay between failed attempts (650ms * attempt number)
- * - Logs any caught exceptions
+ * - Waits for the `Retry-After` of the response instead when there is one
+ * - Logs failed attempts and caught exceptions to the configured logger and emits a `retry` event
  * - Returns immediately on a successful (ok) response
+ * - Returns immediately when the retry policy does not retry the response (see `configureClient`)
  * - Returns the last response or undefined if all attempts are exhausted
  *
  * @example
@@ -554,74 +1707,395 @@ export async function fetchAndRetryUntilOk(fetchInput, init, attempts = 6, silen
  *   // Process successful response
  * }
  */
-export async function fetchAndRetryProtectedUntilOk(payload, protectedHeader, privateKey, acmeDirectory, attempts = 3, silent = false) {
+export async function fetchAndRetryProtectedUntilOk(payload, protectedHeader, privateKey, acmeDirectory, attempts = 3, silent = false, accept) {
     let a = 1;
+    let badNonces = 0;
 
     while (a <= attempts) {
         a++;
         try {
             if (protectedHeader.nonce == undefined) {
-                const nextNonce = await newNonce(acmeDirectory.newNonce);
+                const nextNonce = await takeNonce(acmeDirectory);
 
-                if (nextNonce.nonce) {
-                    protectedHeader.nonce = nextNonce.nonce;
+                if (nextNonce) {
+                    protectedHeader.nonce = nextNonce;
                 }
                 else {
-                    console.log(a - 1, "Could not get the next nonce so the attempt failed");
+                    retrying(protectedHeader.url, a - 1, 650 * a, undefined, silent, "Could not get the next nonce");
 
-                    await new Promise((resolve) => setTimeout(() => { resolve(); }, 650 * a)); // Each failed attempt will delay itself slightly more
+                    await sleep(650 * a); // Each failed attempt will delay itself slightly more
 
                     continue;
                 }
             }
+            else {
+                claimNonce(acmeDirectory, protectedHeader.nonce);
+            }
 
             const signed = payload != "" ? await signPayloadJson(payload, protectedHeader, privateKey) : await signPayload("", protectedHeader, privateKey);
 
-            const response = await fetchRequest(METHOD_POST, protectedHeader.url, signed);
+            const response = await fetchRequest(METHOD_POST, protectedHeader.url, signed, accept);
+
+            storeNonce(acmeDirectory, response.headers);
 
             if (response.ok) {
                 return response;
             }
 
-            if (a > attempts) {
-                return response;
+            protectedHeader.nonce = undefined;
+
+            if (badNonces < BAD_NONCE_RETRIES && await isBadNonce(response)) {
+                badNonces++;
+                a--; // A rejected nonce is retried right away with a fresh nonce and does not count as an attempt
+
+                continue;
             }
 
-            protectedHeader.nonce = undefined;
+            const delay = a > attempts ? undefined : await getRetryDelay(response, 2250 * a); // Each failed attempt will delay itself slightly more
 
-            if (!silent) {
-                console.log(a - 1, "attempt failed, trying again", protectedHeader);
+            if (delay == undefined) {
+                return response;
             }
 
-            await new Promise((resolve) => setTimeout(() => { resolve(); }, 2250 * a)); // Each failed attempt will delay itself slightly more
+            retrying(protectedHeader.url, a - 1, delay, response, silent);
+
+            await sleep(delay);
         } catch (exception) {
-            console.log(a - 1, exception);
+            if (isCancelled()) {
+                throw exception;
+            }
+
+            retrying(protectedHeader.url, a - 1, 0, undefined, silent, exception);
         }
     }
 
     return undefined;
 }
 
+function storeNonce(acmeDirectory, headers) {
+    const replay = headers.get(REPLAY_NONCE);
+
+    if (replay) {
+        const pool = noncePools.get(acmeDirectory.newNonce) || [];
+
+        pool.push(replay);
+        noncePools.set(acmeDirectory.newNonce, pool.slice(-NONCE_POOL_SIZE));
+    }
+}
+
+function claimNonce(acmeDirectory, nonce) {
+    const pool = noncePools.get(acmeDirectory.newNonce);
+    const index = pool ? pool.indexOf(nonce) : -1;
+
+    if (index != -1) {
+        pool.splice(index, 1);
+    }
+
+    return index != -1;
+}
+
+// The Replay-Nonce of a protected request is pooled, it is only handed to the caller when no concurrent request took it
+async function handOverNonce(headers, acmeDirectory) {
+    const replay = headers.get(REPLAY_NONCE);
+
+    return replay && claimNonce(acmeDirectory, replay) ? replay : await takeNonce(acmeDirectory);
+}
+
+async function isBadNonce(response) {
+    if (response.status != 400) {
+        return false;
+    }
+
+    try {
+        return (await response.clone().json()).type === PROBLEM_BAD_NONCE;
+    } catch {
+        return false;
+    }
+}
+
+async function transportFetch(input, init) {
+    const { fetch: customFetch, dispatcher, timeout, signal, userAgent, ca } = clientConfig;
+
+    init = init || {}; // fetchAndRetryUntilOk is called with a null init
+
+    const headers = new Headers(init.headers);
+
+    if (userAgent) {
+        headers.set(USER_AGENT, userAgent);
+    }
+
+    const signals = [signal, init.signal, timeout ? AbortSignal.timeout(timeout) : undefined].filter((value) => value);
+    const request = { ...init, headers: headers, signal: signals.length > 1 ? AbortSignal.any(signals) : signals[0] };
+
+    if (dispatcher) {
+        request.dispatcher = dispatcher;
+    }
+
+    const fields = { method: request.method || METHOD_GET, url: String(input.url || input) };
+    const started = Date.now();
+
+    emitClientEvent("request", fields);
+
+    const response = customFetch ? await customFetch(input, request) : ca ? await fetchTrusting(input, request, ca) : await fetch(input, request);
+
+    emitClientEvent("response", { ...fields, status: response.status, duration: Date.now() - started });
+
+    return response;
+}
+
+function fetchTrusting(input, init, ca) {
+    return new Promise((resolve, reject) => {
+        const url = new URL(typeof input === 'string' || input instanceof URL ? input : input.url);
+        const method = init.method || METHOD_GET;
+
+        const request = (url.protocol === 'https:' ? httpsRequest : httpRequest)(url, {
+            method: method,
+            headers: Object.fromEntries(init.headers),
+            ca: [...rootCertificates, ...[].concat(ca)],
+            signal: init.signal
+        }, (response) => {
+            const chunks = [];
+
+            response.on('data', (chunk) => chunks.push(chunk));
+            response.on('error', reject);
+            response.on('end', () => {
+                const headers = new Headers();
+
+                for (const [name, value] of Object.entries(response.headers)) {
+                    [].concat(value).forEach((item) => headers.append(name, item));
+                }
+
+                const body = chunks.length > 0 && method !== METHOD_HEAD ? Buffer.concat(chunks) : null;
+
+                resolve(new Response(body, { status: response.statusCode, statusText: response.statusMessage, headers: headers }));
+            });
+        });
+
+        request.on('error', reject);
+        request.end(init.body);
+    });
+}
+
+function isCancelled(signal) {
+    return (clientConfig.signal != undefined && clientConfig.signal.aborted) || (signal != undefined && signal.aborted);
+}
+
+async function retrying(url, attempt, delay, response, silent, exception) {
+    const fields = { url: String(url), attempt: attempt, delay: delay };
+
+    if (response) {
+        fields.status = response.status;
+
+        try {
+            fields.type = (await response.clone().json()).type;
+        } catch {
+            // The type is only known for problem documents
+        }
+    }
+
+    emitClientEvent("retry", fields);
+
+    if (!silent) {
+        log("warn", exception ? "ACME request threw, trying again" : "ACME request failed, trying again", exception ? { ...fields, error: exception } : fields);
+    }
+}
+
+function log(level, message, fields) {
+    const logger = clientConfig.logger;
+
+    if (logger && typeof logger[level] === 'function') {
+        logger[level](message, redact(fields));
+    }
+}
+
+function redact(fields) {
+    if (!clientConfig.redact || fields == undefined || typeof fields !== 'object' || fields instanceof Error) {
+        return fields;
+    }
+
+    if (Array.isArray(fields)) {
+        return fields.map((field) => redact(field));
+    }
+
+    if (Object.getPrototypeOf(fields) !== Object.prototype) {
+        return fields;
+    }
+
+    return Object.fromEntries(Object.entries(fields).map(([name, value]) => [name, REDACTED_FIELDS.includes(name) && value != undefined ? REDACTED : redact(value)]));
+}
+
+async function getRetryDelay(response, backoff) {
+    const policy = clientConfig.retryPolicy;
+
+    let type = undefined;
+
+    try {
+        type = (await response.clone().json()).type;
+    } catch {
+        // Responses without a problem document are retried by their status code
+    }
+
+    if (!policy.retryableTypes.includes(type) && !policy.retryableStatuses.includes(response.status)) {
+        return undefined;
+    }
+
+    const retryAfter = getRetryAfter(response.headers);
+
+    if (retryAfter == undefined) {
+        return backoff;
+    }
+
+    return retryAfter <= policy.maxRetryAfter ? retryAfter : undefined;
+}
+
+function readJsonWebKey(key) {
+    if (typeof key === 'string' && key.trim().startsWith('{')) {
+        return JSON.parse(key);
+    }
+
+    return key != undefined && typeof key === 'object' && !ArrayBuffer.isView(key) && typeof key.kty === 'string' ? key : undefined;
+}
+
 async function returnAnswer(response, acmeDirectory) {
+    const body = await readBody(response);
+    const retryAfter = getRetryAfter(response.headers);
+
+    return {
+        [response.ok ? 'get' : 'error']: response.ok ? body : new AcmeProblemError(body, response.status, retryAfter),
+        location: response.headers.get(NEXT_URL),
+        retryAfter: retryAfter,
+        nonce: await handOverNonce(response.headers, acmeDirectory)
+    };
+}
+
+function getRetryAfter(headers) {
+    const retryAfter = headers ? headers.get(RETRY_AFTER) : null;
+
+    if (retryAfter == undefined) {
+        return null;
+    }
+
+    const delay = /^\d+$/.test(retryAfter.trim()) ? parseInt(retryAfter, 10) * 1000 : Date.parse(retryAfter) - Date.now();
+
+    return Number.isNaN(delay) ? null : Math.max(delay, 0);
+}
+
+async function downloadCertificateChain(kid, nonce, privateKey, url, acmeDirectory) {
+    const protectedHeader = {
+        alg: getJwsAlgorithm(privateKey),
+        kid: kid,
+        nonce: nonce,
+        url: url,
+    };
+
+    const response = await fetchAndRetryProtectedUntilOk(METHOD_POST_AS_GET, protectedHeader, privateKey, acmeDirectory, 3, true, CONTENT_TYPE_PEM_CHAIN);
+
+    if (!response) {
+        return notCompletedError("downloadCertificate");
+    }
+
+    if (!response.ok) {
+        return await returnAnswer(response, acmeDirectory);
+    }
+
+    const pem = await response.text();
+    const certificates = splitPemChain(pem);
+
+    if (certificates.length == 0) {
+        return notCompletedError("downloadCertificate", new Error(`No PEM-encoded certificates were returned by ${url}`));
+    }
+
     return {
-        [response.ok ? 'get' : 'error']: await response.json(),
+        get: {
+            pem: pem,
+            certificate: certificates[0],
+            chain: certificates.slice(1),
+            alternates: getLinks(response.headers, REL_ALTERNATE, url),
+            url: url
+        },
         location: response.headers.get(NEXT_URL),
-        nonce: await getNextNonce(response.headers, acmeDirectory)
+        nonce: await handOverNonce(response.headers, acmeDirectory)
     };
 }
 
+function chainMatchesIssuer(chain, issuerCommonName) {
+    return [chain.certificate, ...chain.chain].some((pem) => {
+        const match = new X509Certificate(pem).issuer.match(/^CN=(.*)$/m);
+
+        return match != undefined && match[1] === issuerCommonName;
+    });
+}
+
+function splitPemChain(pem) {
+    return (pem.match(/-----BEGIN CERTIFICATE-----[^-]+-----END CERTIFICATE-----/g) || []).map((certificate) => `${certificate}\n`);
+}
+
+async function readBody(response) {
+    const body = await response.text();
+
+    if (body.length == 0) {
+        return response.ok ? {} : { type: PROBLEM_BLANK, detail: response.statusText, status: response.status };
+    }
+
+    try {
+        return JSON.parse(body);
+    } catch (exception) {
+        if (response.ok) {
+            throw exception;
+        }
+
+        return { type: PROBLEM_BLANK, detail: body, status: response.status };
+    }
+}
+
+function getLinks(headers, rel, baseUrl) {
+    const links = [];
+    const header = headers ? headers.get(LINK) : null;
+
+    if (header) {
+        for (const link of header.split(/,(?=\s*<)/)) {
+            const match = link.match(/^\s*<([^>]*)>(.*)$/);
+            const param = match ? match[2].match(/;\s*rel\s*=\s*(?:"([^"]*)"|([^;\s]*))/i) : null;
+
+            if (param && (param[1] ?? param[2]).split(/\s+/).includes(rel)) {
+                links.push(new URL(match[1], baseUrl).href);
+            }
+        }
+    }
+
+    return links;
+}
+
+function formatContact(contact) {
+    return (Array.isArray(contact) ? contact : [contact]).map((address) => {
+        const trimmed = String(address).trim();
+
+        return trimmed.includes(':') ? trimmed : `${MAILTO}${trimmed}`;
+    });
+}
+
 function notCompletedError(error, exception) {
     return !exception
         ? errorTemplate(`bac:failed:${error}`, `Could not complete ${error} after multiple attempts`, 777777)
         : errorTemplate(`bac:exception:${error}`, exception, 777779)
 }
 
+function commonNameIdentifier(commonName) {
+    try {
+        const [identifier] = normalizeIdentifiers([commonName]);
+
+        return `${identifier.type}:${identifier.value}`;
+    } catch {
+        return undefined; // A common name that is not a domain name or IP address can not be one of the names
+    }
+}
+
+function invalidRequestError(error, details) {
+    return errorTemplate(`bac:invalid:${error}`, details, 777778);
+}
+
 function errorTemplate(type, details, status) {
     return {
-        error: {
-            type: type,
-            detail: details,
-            status: status
-        }
+        error: new AcmeClientError(type, details, status)
     }
 }
\ No newline at end of file
@@ -0,0 +1,422 @@
+#!/usr/bin/env node
+/**
+ * ACME Command Line Interface
+ * @module ACMECommandLineModule
+ * @description Registers accounts, issues, renews and revokes certificates and checks renewal information from the command line.
+ * @copyright © 2024 FirstTimeEZ
+ * @license Apache-2.0
+ */
+
+import { createPublicKey } from 'crypto';
+import { readFile } from 'fs/promises';
+import { join, resolve } from 'path';
+import { createServer } from 'tls';
+import { parseArgs } from 'util';
+import {
+    AcmeError, AcmeClientError, configureClient, newDirectory, createJsonWebKey, createAccount, revokeCertificate, fetchSuggestedWindow, getCertificateId,
+    issueCertificate, createHttp01Responder, createTlsAlpn01Responder, createDns01Handler, createFileStorage, getStorageKeys, readStoredCertificate,
+    inspectCertificate, formatPrivateKey, exportPrivateKey, generateAccountKey, generateCertificateKey, normalizeIdentifiers
+} from '../base-acme-client.js';
+
+const DEFAULT_STORAGE_DIRECTORY = "acme";
+const DEFAULT_CHALLENGE = "http-01";
+const CHALLENGE_TYPES = ["http-01", "dns-01", "tls-alpn-01"];
+const CHALLENGE_PORTS = { "http-01": 80, "tls-alpn-01": 443 };
+const REVOCATION_REASON_UNSPECIFIED = 0;
+
+const USAGE_ERROR = "bac:invalid:cli";
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: base-acme-client <command> [options]
+
+Commands:
+  register    Create the account of the directory, or show the stored account
+  issue       Issue a certificate for --domains with the --challenge type
+  ari         Show the renewal information of a certificate (ACME Renewal Information)
+  renew       Renew a certificate when its renewal window has started, or right away with --force
+  revoke      Revoke a certificate with the stored account
+
+Options:
+  --directory <url>        The URL of the ACME directory, or the ACME_DIRECTORY_URL environment variable
+  --dir <path>             The directory that stores keys and certificates, or ACME_STORAGE_DIR (default ./acme)
+  --domains <names>        Comma separated domain names or IP addresses, can be repeated
+  --cert <file>            A PEM certificate file, the stored certificate of --domains when not provided
+  --challenge <type>       http-01, dns-01 or tls-alpn-01 (default http-01)
+  --port <port>            The port of the http-01 or tls-alpn-01 responder (default 80 or 443)
+  --host <address>         The address the responder listens on
+  --email <address>        The contact email address of the account, can be repeated
+  --eab-kid <kid>          The External Account Binding key identifier from the CA
+  --eab-hmac-key <key>     The External Account Binding HMAC key from the CA
+  --accept-tos <url>       The terms of service URL you reviewed and accept
+  --key-type <type>        The type of new keys, e.g. P-256, P-384, RSA-2048 (default P-256)
+  --profile <name>         The certificate profile to request
+  --reason <code>          The revocation reason code (default 0)
+  --ca <file>              A PEM file of additional certificate authorities to trust for the directory
+  --force                  Renew even when the renewal window has not started
+  --verbose                Log client events to stderr
+  --help                   Show this help
+
+Results are written to stdout as JSON, progress and instructions to stderr.
+The exit code is 1 when the command fails and 2 when the command line is not valid.`;
+
+const OPTIONS = {
+    directory: { type: 'string' },
+    dir: { type: 'string' },
+    domains: { type: 'string', multiple: true },
+    cert: { type: 'string' },
+    challenge: { type: 'string' },
+    port: { type: 'string' },
+    host: { type: 'string' },
+    email: { type: 'string', multiple: true },
+    "eab-kid": { type: 'string' },
+    "eab-hmac-key": { type: 'string' },
+    "accept-tos": { type: 'string' },
+    "key-type": { type: 'string' },
+    profile: { type: 'string' },
+    reason: { type: 'string' },
+    ca: { type: 'string' },
+    force: { type: 'boolean' },
+    verbose: { type: 'boolean' },
+    help: { type: 'boolean' }
+};
+
+const COMMANDS = {
+    register: register,
+    issue: issue,
+    ari: ari,
+    renew: renew,
+    revoke: revoke
+};
+
+try {
+    const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+    const command = COMMANDS[positionals[0]];
+
+    if (values.help || command == undefined) {
+        process.stderr.write(`${USAGE}\n`);
+        process.exitCode = values.help ? 0 : EXIT_USAGE;
+    }
+    else {
+        if (values.ca) {
+            configureClient({ ca: await readFile(values.ca, 'utf8') });
+        }
+
+        if (values.verbose) {
+            configureClient({ logger: createStderrLogger() });
+        }
+
+        const result = await command(readSettings(values));
+
+        output(result);
+    }
+} catch (exception) {
+    // Problems of the server and errors of the client are printed as they are, only unexpected exceptions are wrapped
+    output({ error: exception instanceof AcmeError ? exception : String(exception.code).startsWith("ERR_PARSE_ARGS") ? usageError(exception.message) : new AcmeClientError("bac:exception:cli", exception, 777779) });
+}
+
+async function register(settings) {
+    const { directoryUrl, storage } = settings;
+    const directory = await getDirectory(directoryUrl);
+    const key = getStorageKeys(directoryUrl).account;
+    const stored = await storage.get(key);
+
+    if (stored) {
+        const account = JSON.parse(stored);
+
+        return { get: { kid: account.kid, created: false, termsOfService: account.termsOfService || null } };
+    }
+
+    const accountKey = generateAccountKey(settings.keyType).privateKey;
+    const jsonWebKey = await createJsonWebKey(createPublicKey(accountKey));
+    const account = await createAccount(undefined, accountKey, jsonWebKey.key, directory, settings.account);
+
+    if (account.error) {
+        return account;
+    }
+
+    await storage.set(key, JSON.stringify({ directoryUrl: directoryUrl, kid: account.location, accountKey: exportPrivateKey(accountKey), termsOfService: directory.termsOfService }));
+
+    return { get: { kid: account.location, created: true, status: account.get.status, contact: account.get.contact || [], termsOfService: directory.termsOfService } };
+}
+
+async function issue(settings, replaces) {
+    const identifiers = requireIdentifiers(settings);
+    const challenge = await startChallengeHandler(settings);
+
+    try {
+        const result = await issueCertificate({
+            directoryUrl: settings.directoryUrl,
+            identifiers: identifiers,
+            certKey: generateCertificateKey(settings.keyType).privateKey,
+            challengeHandlers: { [settings.challenge]: challenge.handler },
+            account: settings.account,
+            profile: settings.profile,
+            replaces: replaces,
+            storage: settings.storage
+        });
+
+        if (result.error) {
+            return result;
+        }
+
+        const keys = getStorageKeys(settings.directoryUrl, identifiers);
+        const leaf = inspectCertificate(result.get.pem);
+
+        return {
+            get: {
+                identifiers: identifiers.map((identifier) => identifier.value),
+                certificate: join(settings.storageDirectory, keys.certificate),
+                privateKey: join(settings.storageDirectory, keys.certificateKey),
+                serialNumber: leaf.serialNumber,
+                notBefore: leaf.notBefore,
+                notAfter: leaf.notAfter,
+                certificateId: getCertificateId(result.get.pem)
+            }
+        };
+    } finally {
+        await challenge.close();
+    }
+}
+
+async function ari(settings) {
+    const directory = await getDirectory(settings.directoryUrl);
+    const certificate = await readCertificate(settings);
+
+    return await checkRenewal(directory, certificate);
+}
+
+async function renew(settings) {
+    const directory = await getDirectory(settings.directoryUrl);
+    const certificate = await readCertificate(settings);
+
+    if (settings.identifiers == undefined) {
+        settings.identifiers = normalizeIdentifiers(inspectCertificate(certificate).altNames);
+    }
+
+    const renewal = await checkRenewal(directory, certificate);
+
+    if (renewal.error) {
+        return renewal;
+    }
+
+    if (!renewal.get.renewalDue && !settings.force) {
+        return { get: { renewed: false, ...renewal.get } };
+    }
+
+    // Only servers with ACME Renewal Information accept the replaces field
+    const result = await issue(settings, directory.renewalInfo ? certificate : undefined);
+
+    return result.error ? result : { get: { renewed: true, ...result.get } };
+}
+
+async function revoke(settings) {
+    const directory = await getDirectory(settings.directoryUrl);
+    const certificate = await readCertificate(settings);
+    const stored = await settings.storage.get(getStorageKeys(settings.directoryUrl).account);
+
+    if (stored == undefined) {
+        throw new AcmeClientError("bac:invalid:revoke", "No account is stored for the directory, run register first", 777778);
+    }
+
+    const account = JSON.parse(stored);
+    const revoked = await revokeCertificate(account.kid, undefined, formatPrivateKey(account.accountKey), certificate, settings.reason, directory);
+
+    return revoked.error ? revoked : { get: { revoked: true, serialNumber: inspectCertificate(certificate).serialNumber, reason: settings.reason } };
+}
+
+async function checkRenewal(directory, certificate) {
+    const leaf = inspectCertificate(certificate);
+    const notBefore = leaf.notBefore.getTime();
+    const notAfter = leaf.notAfter.getTime();
+
+    const renewalInfo = directory.renewalInfo ? await fetchSuggestedWindow(directory.renewalInfo, certificate) : undefined;
+
+    if (renewalInfo && renewalInfo.get && renewalInfo.get.suggestedWindow) {
+        const { suggestedWindow, explanationURL } = renewalInfo.get;
+
+        return {
+            get: {
+                certificateId: getCertificateId(certificate),
+                notAfter: leaf.notAfter,
+                suggestedWindow: suggestedWindow,
+                explanationURL: explanationURL,
+                retryAfter: renewalInfo.retryAfter,
+                renewalDue: Date.now() >= Date.parse(suggestedWindow.start)
+            }
+        };
+    }
+
+    // Without renewal information the certificate is renewed when one third of its validity remains, like scheduleRenewal
+    const renewAt = notAfter - (notAfter - notBefore) / 3;
+
+    return {
+        get: {
+            certificateId: getCertificateId(certificate),
+            notAfter: leaf.notAfter,
+            suggestedWindow: null,
+            renewAt: new Date(renewAt),
+            renewalInfoError: renewalInfo ? renewalInfo.error : undefined,
+            renewalDue: Date.now() >= renewAt
+        }
+    };
+}
+
+async function startChallengeHandler(settings) {
+    const port = settings.port || CHALLENGE_PORTS[settings.challenge];
+
+    if (settings.challenge === "http-01") {
+        const responder = createHttp01Responder();
+
+        await responder.listen(port, settings.host);
+
+        return { handler: responder, close: () => responder.close() };
+    }
+
+    if (settings.challenge === "tls-alpn-01") {
+        const responder = createTlsAlpn01Responder();
+        const server = createServer(responder.serverOptions());
+
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, settings.host, resolve);
+        });
+
+        return { handler: responder, close: () => new Promise((resolve) => server.close(() => resolve())) };
+    }
+
+    if (settings.challenge === "dns-01") {
+        const handler = createDns01Handler({
+            setRecord: async (name, value) => process.stderr.write(`Create the TXT record ${name} with the value ${value}, waiting for it to propagate\n`),
+            removeRecord: async (name, value) => process.stderr.write(`The TXT record ${name} with the value ${value} can be removed\n`)
+        });
+
+        return { handler: handler, close: async () => { } };
+    }
+
+    throw usageError(`The challenge type ${settings.challenge} is not supported, use ${CHALLENGE_TYPES.join(", ")}`);
+}
+
+async function getDirectory(directoryUrl) {
+    const directory = await newDirectory(directoryUrl);
+
+    if (directory.error) {
+        throw directory.error;
+    }
+
+    return directory.get;
+}
+
+async function readCertificate(settings) {
+    if (settings.certificateFile) {
+        return await readFile(settings.certificateFile, 'utf8');
+    }
+
+    const stored = await readStoredCertificate(settings.storage, settings.directoryUrl, requireIdentifiers(settings));
+
+    if (stored == undefined) {
+        throw usageError("No certificate is stored for the domains, provide --cert");
+    }
+
+    return stored.certificate;
+}
+
+function readSettings(values) {
+    const directoryUrl = values.directory || process.env.ACME_DIRECTORY_URL;
+    const storageDirectory = resolve(values.dir || process.env.ACME_STORAGE_DIR || DEFAULT_STORAGE_DIRECTORY);
+
+    if (!directoryUrl) {
+        throw usageError("Provide the ACME directory URL with --directory or ACME_DIRECTORY_URL");
+    }
+
+    try {
+        new URL(directoryUrl);
+    } catch {
+        throw usageError(`The directory URL ${directoryUrl} is not a URL`);
+    }
+
+    const challenge = values.challenge || DEFAULT_CHALLENGE;
+
+    if (!CHALLENGE_TYPES.includes(challenge)) {
+        throw usageError(`The challenge type ${challenge} is not supported, use ${CHALLENGE_TYPES.join(", ")}`);
+    }
+
+    const domains = (values.domains || []).flatMap((value) => value.split(',')).map((value) => value.trim()).filter((value) => value.length > 0);
+
+    let identifiers = undefined;
+
+    try {
+        identifiers = domains.length > 0 ? normalizeIdentifiers(domains) : undefined;
+    } catch (exception) {
+        throw usageError(exception.message);
+    }
+
+    return {
+        directoryUrl: directoryUrl,
+        storageDirectory: storageDirectory,
+        storage: createFileStorage(storageDirectory),
+        identifiers: identifiers,
+        certificateFile: values.cert,
+        challenge: challenge,
+        port: values.port ? parseInteger(values.port, "--port") : undefined,
+        host: values.host,
+        keyType: values["key-type"],
+        profile: values.profile,
+        reason: values.reason ? parseInteger(values.reason, "--reason") : REVOCATION_REASON_UNSPECIFIED,
+        force: values.force === true,
+        account: {
+            contact: values.email,
+            acceptTermsOfService: values["accept-tos"],
+            externalAccount: values["eab-kid"] ? { kid: values["eab-kid"], hmacKey: values["eab-hmac-key"] } : undefined
+        }
+    };
+}
+
+function requireIdentifiers(settings) {
+    if (settings.identifiers == undefined) {
+        throw usageError("Provide the domains with --domains");
+    }
+
+    return settings.identifiers;
+}
+
+function parseInteger(value, option) {
+    if (!/^\d+$/.test(value)) {
+        throw usageError(`${option} must be a number, not ${value}`);
+    }
+
+    return parseInt(value, 10);
+}
+
+function usageError(detail) {
+    return new AcmeClientError(USAGE_ERROR, detail, 777778);
+}
+
+function createStderrLogger() {
+    const write = (level) => (message, fields) => process.stderr.write(`${JSON.stringify({ level: level, message: message, ...fields })}\n`);
+
+    return { debug: write("debug"), info: write("info"), warn: write("warn"), error: write("error") };
+}
+
+function output(result) {
+    if (result.error) {
+        process.stdout.write(`${JSON.stringify({ error: toProblemDocument(result.error) }, null, 2)}\n`);
+        process.exitCode = result.error.type === USAGE_ERROR ? EXIT_USAGE : EXIT_FAILURE;
+    }
+    else {
+        process.stdout.write(`${JSON.stringify(result.get, null, 2)}\n`);
+    }
+}
+
+function toProblemDocument(error) {
+    const { type, detail, status, identifier, instance, subproblems } = error;
+
+    return {
+        type: type,
+        detail: detail instanceof Error ? detail.message : detail,
+        status: status,
+        identifier: identifier,
+        instance: instance,
+        subproblems: subproblems && subproblems.length > 0 ? subproblems.map((subproblem) => toProblemDocument(subproblem)) : undefined
+    };
+}